@@ -0,0 +1,129 @@
+// analytics/aggregator.js
+
+const pool = require("../db");
+const { SCHEMA_VERSION } = require("../events/gameEvents");
+
+// [row, column] pairs of the winning line that fit the board, each cell once
+const winningCells = (positions, rows, columns) => {
+  if (!Array.isArray(positions)) return [];
+  const seen = new Set();
+  return positions.filter(([row, column] = []) => {
+    const key = `${row}:${column}`;
+    if (!Number.isInteger(row) || !Number.isInteger(column) || seen.has(key)) return false;
+    if (row < 0 || row >= rows || column < 0 || column >= columns) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// 🧮 Turn a gameOver event (events/gameEvents.js envelope) into the facts the analytics tables count
+const toGameFacts = (event) => {
+  const { data = {} } = event;
+  const bot = event.players.find(p => p.isBot);
+  const winner = data.winner || null;
+  const { rows = 6, columns = 7 } = data.options || {};
+
+  return {
+    gameId: event.gameId,
+    endedAt: new Date(event.occurredAt || Date.now()),
+    durationMs: Math.max(0, Math.round(Number(data.durationMs) || 0)),
+    firstPlayer: event.players[0].username,
+    winner,
+    isDraw: Boolean(data.isDraw),
+    reason: data.reason || null,
+    isBotGame: Boolean(bot),
+    botWon: Boolean(bot && winner === bot.username),
+    variant: data.variant || "classic",
+    moveCount: Number(event.ply) || 0,
+    openingColumn: Number.isInteger(data.openingColumn) ? data.openingColumn : null,
+    rows,
+    columns,
+    winningCells: winningCells(data.winningPositions, rows, columns),
+  };
+};
+
+/**
+ * Count one finished game. The fact row and the aggregates are committed together,
+ * and a game that is already counted (Kafka redelivers after a restart) is skipped.
+ * Returns false when the event was skipped.
+ */
+const recordGameOver = async (event) => {
+  // Older payloads don't say who moved first, so they can't be counted
+  if (!event || event.schemaVersion !== SCHEMA_VERSION || !event.gameId || !Array.isArray(event.players) || !event.players.length) return false;
+
+  const facts = toGameFacts(event);
+  const firstMoverWon = !facts.isDraw && facts.winner === facts.firstPlayer;
+  const secondMoverWon = !facts.isDraw && facts.winner !== null && !firstMoverWon;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const inserted = await client.query(
+      `INSERT INTO analytics_games (game_id, ended_at, duration_ms, first_player, winner, is_draw, end_reason,
+                                    is_bot_game, bot_won, variant, move_count, opening_column, board_rows, board_columns)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       ON CONFLICT (game_id) DO NOTHING`,
+      [
+        facts.gameId, facts.endedAt, facts.durationMs, facts.firstPlayer, facts.winner, facts.isDraw, facts.reason,
+        facts.isBotGame, facts.botWon, facts.variant, facts.moveCount, facts.openingColumn,
+        facts.rows, facts.columns,
+      ]
+    );
+    if (inserted.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+
+    await client.query(
+      `INSERT INTO analytics_hourly AS h (hour, games, total_duration_ms, draws, first_mover_wins, second_mover_wins,
+                                          bot_games, bot_wins, bot_draws)
+       VALUES (date_trunc('hour', $1::timestamp), 1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (hour) DO UPDATE SET
+         games = h.games + 1,
+         total_duration_ms = h.total_duration_ms + EXCLUDED.total_duration_ms,
+         draws = h.draws + EXCLUDED.draws,
+         first_mover_wins = h.first_mover_wins + EXCLUDED.first_mover_wins,
+         second_mover_wins = h.second_mover_wins + EXCLUDED.second_mover_wins,
+         bot_games = h.bot_games + EXCLUDED.bot_games,
+         bot_wins = h.bot_wins + EXCLUDED.bot_wins,
+         bot_draws = h.bot_draws + EXCLUDED.bot_draws`,
+      [
+        facts.endedAt, facts.durationMs,
+        Number(facts.isDraw), Number(firstMoverWon), Number(secondMoverWon),
+        Number(facts.isBotGame), Number(facts.botWon), Number(facts.isBotGame && facts.isDraw),
+      ]
+    );
+
+    if (facts.openingColumn !== null) {
+      await client.query(
+        `INSERT INTO analytics_board_openings AS o (board_rows, board_columns, column_index, games, first_mover_wins, draws)
+         VALUES ($1, $2, $3, 1, $4, $5)
+         ON CONFLICT (board_rows, board_columns, column_index) DO UPDATE SET
+           games = o.games + 1,
+           first_mover_wins = o.first_mover_wins + EXCLUDED.first_mover_wins,
+           draws = o.draws + EXCLUDED.draws`,
+        [facts.rows, facts.columns, facts.openingColumn, Number(firstMoverWon), Number(facts.isDraw)]
+      );
+    }
+
+    for (const [row, column] of facts.winningCells) {
+      await client.query(
+        `INSERT INTO analytics_winning_cells AS w (board_rows, board_columns, row_index, column_index, wins)
+         VALUES ($1, $2, $3, $4, 1)
+         ON CONFLICT (board_rows, board_columns, row_index, column_index) DO UPDATE SET wins = w.wins + 1`,
+        [facts.rows, facts.columns, row, column]
+      );
+    }
+
+    await client.query("COMMIT");
+    return true;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { toGameFacts, recordGameOver };
@@ -1,29 +1,43 @@
 const { Kafka } = require("kafkajs");
+const { initSchema } = require("../db/schema");
+const { recordGameOver } = require("./aggregator");
+const { kafkaConfigFromEnv } = require("../events/kafkaConfig");
 
-const kafka = new Kafka({
-  clientId: "connect4-analytics",
-  brokers: ["localhost:9092"],
-});
+// Same brokers, topic and credentials as the backend
+const { client, topic } = kafkaConfigFromEnv(process.env, { clientId: "connect4-analytics" });
+const kafka = new Kafka(client);
 
 const consumer = kafka.consumer({ groupId: "analytics-group" });
 
 const run = async () => {
+  await initSchema(); // The analytics tables may not exist yet if the backend never ran
   await consumer.connect();
-  await consumer.subscribe({ topic: "game-events", fromBeginning: true });
+  await consumer.subscribe({ topic, fromBeginning: true });
 
   await consumer.run({
-    eachMessage: async ({ topic, message }) => {
-      const type = message.key.toString();
-      const data = JSON.parse(message.value.toString());
+    eachMessage: async ({ message }) => {
+      let data;
+      try {
+        data = JSON.parse(message.value.toString());
+      } catch (err) {
+        // Retrying can't fix it, and throwing would hold up the whole partition
+        console.error(`❌ Skipped unreadable message at offset ${message.offset}:`, err.message);
+        return;
+      }
+      // Versioned events are keyed by game id and carry their type; older ones were keyed by type
+      const type = data.type || (message.key ? message.key.toString() : "unknown");
 
-      console.log(`📊 [${type}] Event Received`);
-      console.log(data);
+      console.log(`📊 [${type}] Event Received${data.gameId ? ` for game ${data.gameId} (ply ${data.ply})` : ""}`);
 
-      // 🧠 Here you can insert to DB or update memory-stats
-      // For demo, just track number of games
       if (type === "gameOver") {
-        // Example metric processing
-        // storeGameInDB(data); or update in-memory stats
+        try {
+          const counted = await recordGameOver(data);
+          console.log(counted ? `✅ Counted game ${data.gameId}` : `⏭️ Skipped game ${data.gameId || "(no id)"}`);
+        } catch (err) {
+          // Thrown so the offset isn't committed and Kafka delivers the event again
+          console.error("❌ Failed to record game:", err.message);
+          throw err;
+        }
       }
     },
   });
@@ -1,60 +1,37 @@
 // bot/botLogic.js
 
-const checkWinner = require("../utils/checkWinner");
+const { findBestMove } = require("./search");
+const { DIFFICULTY_LEVELS, normalizeDifficulty } = require("./difficulty");
 
-module.exports = function botLogic(board) {
-  const BOT_SYMBOL = "O";
-  const PLAYER_SYMBOL = "X";
+module.exports = function botLogic(board, { symbol = "O", difficulty, winLength = 4 } = {}) {
+  const BOT_SYMBOL = symbol;
+  const PLAYER_SYMBOL = symbol === "X" ? "O" : "X";
+  const settings = DIFFICULTY_LEVELS[normalizeDifficulty(difficulty)];
 
-  const ROWS = board.length;
   const COLS = board[0].length;
 
-  const getValidColumns = () => {
-    const valid = [];
-    for (let c = 0; c < COLS; c++) {
-      if (board[0][c] === null) valid.push(c);
-    }
-    return valid;
-  };
-
-  const simulateMove = (b, col, symbol) => {
-    const temp = b.map(row => row.slice()); // Deep copy
-    for (let r = ROWS - 1; r >= 0; r--) {
-      if (!temp[r][col]) {
-        temp[r][col] = symbol;
-        break;
-      }
-    }
-    return temp;
-  };
-
-  const validColumns = getValidColumns();
-
-  // 1. Try to win
-  for (let col of validColumns) {
-    const testBoard = simulateMove(board, col, BOT_SYMBOL);
-    if (checkWinner(testBoard, BOT_SYMBOL)) {
-      return col;
-    }
+  const validColumns = [];
+  for (let c = 0; c < COLS; c++) {
+    if (board[0][c] === null) validColumns.push(c);
   }
+  if (validColumns.length === 0) return -1;
 
-  // 2. Try to block opponent
-  for (let col of validColumns) {
-    const testBoard = simulateMove(board, col, PLAYER_SYMBOL);
-    if (checkWinner(testBoard, PLAYER_SYMBOL)) {
-      return col;
-    }
+  // 🎲 Easier levels occasionally play a random column
+  if (settings.mistakeRate > 0 && Math.random() < settings.mistakeRate) {
+    return validColumns[Math.floor(Math.random() * validColumns.length)];
   }
 
-  // 3. Center preference (column 3)
-  if (validColumns.includes(3)) return 3;
+  const { column, depth, score, nodes } = findBestMove(board, {
+    symbol: BOT_SYMBOL,
+    opponentSymbol: PLAYER_SYMBOL,
+    maxDepth: settings.maxDepth,
+    timeLimitMs: settings.timeLimitMs,
+    winLength,
+  });
 
-  // 4. Otherwise, prefer columns near center (3,2,4,1,5,0,6)
-  const preferredOrder = [3, 2, 4, 1, 5, 0, 6];
-  for (let col of preferredOrder) {
-    if (validColumns.includes(col)) return col;
+  if (process.env.BOT_DEBUG === "true") {
+    console.log(`🤖 Bot searched depth ${depth} (${nodes} nodes, score ${score})`);
   }
 
-  // 5. Fallback to any valid column
-  return validColumns[0] || 0;
+  return column;
 };
@@ -1,20 +1,18 @@
 // bot/botPlayer.js
 
-function createBotSocket(io) {
+const { normalizeDifficulty } = require("./difficulty");
+
+const BOT_USERNAME = "BotMaster";
+
+// The bot never holds a real socket, so it needs no room membership
+function createBotSocket(io, difficulty) {
   const botId = "BOT_" + Math.random().toString(36).substring(2, 8);
   
   const botSocket = {
     id: botId,
-    username: "BotMaster",
+    username: BOT_USERNAME,
     isBot: true,
-
-    join: (room) => {
-      // Simulate joining room (optional no-op)
-      if (!io.sockets.adapter.rooms.get(room)) {
-        io.sockets.adapter.rooms.set(room, new Set());
-      }
-      io.sockets.adapter.rooms.get(room).add(botId);
-    },
+    difficulty: normalizeDifficulty(difficulty),
 
     emit: () => {
       // No operation needed, bot doesn't receive emits
@@ -25,5 +23,6 @@ function createBotSocket(io) {
 }
 
 module.exports = {
+  BOT_USERNAME,
   createBotSocket,
 };
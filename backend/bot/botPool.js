@@ -0,0 +1,69 @@
+// bot/botPool.js
+
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+/**
+ * The search blocks for up to the difficulty's time limit (4s for `perfect`),
+ * so it runs on worker threads and the event loop keeps serving sockets and
+ * clocks meanwhile. Each worker searches one position at a time; further
+ * requests wait for the first free worker.
+ */
+const POOL_SIZE = parseInt(process.env.BOT_WORKERS, 10) || Math.min(2, os.cpus().length);
+
+const WORKER_FILE = path.join(__dirname, "botWorker.js");
+
+const slots = []; // { worker, job, error }
+const pending = []; // { board, options, resolve, reject }
+
+const finish = (slot, settle) => {
+  const { job } = slot;
+  slot.job = null;
+  if (job) settle(job);
+  runNext();
+};
+
+const startWorker = () => {
+  const slot = { worker: new Worker(WORKER_FILE), job: null, error: null };
+  slot.worker.unref(); // An idle pool never keeps the process alive
+
+  slot.worker.on("message", ({ column, error }) =>
+    finish(slot, job => (error ? job.reject(new Error(error)) : job.resolve(column)))
+  );
+  slot.worker.on("error", (err) => {
+    slot.error = err;
+  });
+  // A crashed worker fails its job and is replaced on the next request
+  slot.worker.on("exit", () => {
+    slots.splice(slots.indexOf(slot), 1);
+    finish(slot, job => job.reject(slot.error || new Error("Bot worker stopped")));
+  });
+
+  slots.push(slot);
+  return slot;
+};
+
+const runNext = () => {
+  while (pending.length > 0) {
+    const slot = slots.find(s => !s.job) || (slots.length < POOL_SIZE ? startWorker() : null);
+    if (!slot) return;
+
+    slot.job = pending.shift();
+    slot.worker.postMessage({ board: slot.job.board, options: slot.job.options });
+  }
+};
+
+/**
+ * botLogic on a worker thread.
+ * @returns {Promise<number>} the column to drop in (-1 when the board is full)
+ */
+const chooseBotColumn = (board, options) =>
+  new Promise((resolve, reject) => {
+    pending.push({ board, options, resolve, reject });
+    runNext();
+  });
+
+const closeBotWorkers = () => Promise.all(slots.map(slot => slot.worker.terminate()));
+
+module.exports = { chooseBotColumn, closeBotWorkers };
@@ -0,0 +1,13 @@
+// bot/botWorker.js
+
+// Worker thread entry: picks a column for each position it is sent (see botPool.js)
+const { parentPort } = require("worker_threads");
+const botLogic = require("./botLogic");
+
+parentPort.on("message", ({ board, options }) => {
+  try {
+    parentPort.postMessage({ column: botLogic(board, options) });
+  } catch (err) {
+    parentPort.postMessage({ error: err.message });
+  }
+});
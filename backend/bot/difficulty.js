@@ -0,0 +1,39 @@
+// bot/difficulty.js
+
+// Search settings for each bot difficulty level
+const DIFFICULTY_LEVELS = {
+  easy: {
+    maxDepth: 2,
+    timeLimitMs: 200,
+    mistakeRate: 0.3, // Chance of playing a random legal column instead
+  },
+  medium: {
+    maxDepth: 5,
+    timeLimitMs: 500,
+    mistakeRate: 0,
+  },
+  hard: {
+    maxDepth: 10,
+    timeLimitMs: 1500,
+    mistakeRate: 0,
+  },
+  perfect: {
+    maxDepth: Infinity, // Search to the end of the game when the time budget allows
+    timeLimitMs: 4000,
+    mistakeRate: 0,
+  },
+};
+
+const DEFAULT_DIFFICULTY = "medium";
+
+// Fall back to the default for unknown or missing values
+const normalizeDifficulty = (difficulty) => {
+  const key = typeof difficulty === "string" ? difficulty.toLowerCase() : "";
+  return DIFFICULTY_LEVELS[key] ? key : DEFAULT_DIFFICULTY;
+};
+
+module.exports = {
+  DIFFICULTY_LEVELS,
+  DEFAULT_DIFFICULTY,
+  normalizeDifficulty,
+};
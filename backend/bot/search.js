@@ -0,0 +1,311 @@
+// bot/search.js
+
+/**
+ * Negamax search with alpha-beta pruning for the Connect4 bot.
+ *
+ * The board is copied into a flat cell array so moves can be played and
+ * undone in place. Positions are cached in a transposition table keyed by
+ * a Zobrist hash, and moves are ordered TT-best-move first, then center-out.
+ */
+
+const EMPTY = 0;
+const WIN_SCORE = 1000000;
+const MATE_THRESHOLD = WIN_SCORE - 1000;
+const MAX_TT_ENTRIES = 500000;
+
+const TT_EXACT = 0;
+const TT_LOWER = 1;
+const TT_UPPER = 2;
+
+const TIMEOUT = Symbol("search-timeout");
+
+// Cache of per-board-size lookup tables (windows, Zobrist keys, move order)
+const tablesCache = new Map();
+
+const random32 = () => (Math.random() * 0x100000000) >>> 0;
+
+const buildTables = (rows, cols, winLength) => {
+  const cacheKey = `${rows}x${cols}:${winLength}`;
+  if (tablesCache.has(cacheKey)) return tablesCache.get(cacheKey);
+
+  // Every line of `winLength` cells on the board, as flat cell indices
+  const windows = [];
+  const directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      for (const [dr, dc] of directions) {
+        const endR = r + dr * (winLength - 1);
+        const endC = c + dc * (winLength - 1);
+        if (endR < 0 || endR >= rows || endC < 0 || endC >= cols) continue;
+        const window = [];
+        for (let i = 0; i < winLength; i++) {
+          window.push((r + dr * i) * cols + (c + dc * i));
+        }
+        windows.push(window);
+      }
+    }
+  }
+
+  // Two independent 32-bit Zobrist keys per (cell, player) give a 53-bit hash
+  const zobristHi = [];
+  const zobristLo = [];
+  for (let i = 0; i < rows * cols * 3; i++) {
+    zobristHi.push(random32() & 0x1fffff); // 21 bits
+    zobristLo.push(random32());
+  }
+
+  // Center-out column order, e.g. 3,2,4,1,5,0,6 for a 7-column board
+  const center = (cols - 1) / 2;
+  const moveOrder = Array.from({ length: cols }, (_, c) => c)
+    .sort((a, b) => Math.abs(a - center) - Math.abs(b - center) || a - b);
+
+  // Cells closer to the center take part in more lines and are worth more
+  const centerWeights = Array.from({ length: cols }, (_, c) =>
+    Math.max(0, Math.round(3 - Math.abs(c - center)))
+  );
+
+  const tables = { windows, zobristHi, zobristLo, moveOrder, centerWeights };
+  tablesCache.set(cacheKey, tables);
+  return tables;
+};
+
+const createPosition = (board, symbols, winLength) => {
+  const rows = board.length;
+  const cols = board[0].length;
+  const tables = buildTables(rows, cols, winLength);
+  const cells = new Array(rows * cols).fill(EMPTY);
+  const heights = new Array(cols).fill(0);
+  let hashHi = 0;
+  let hashLo = 0;
+  let moveCount = 0;
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const value = board[r][c];
+      if (!value) continue;
+      const player = value === symbols[1] ? 1 : 2;
+      const index = r * cols + c;
+      cells[index] = player;
+      hashHi ^= tables.zobristHi[index * 3 + player];
+      hashLo ^= tables.zobristLo[index * 3 + player];
+      moveCount++;
+    }
+  }
+
+  // Column heights are counted from the bottom up to the first empty cell
+  for (let c = 0; c < cols; c++) {
+    let h = 0;
+    while (h < rows && cells[(rows - 1 - h) * cols + c] !== EMPTY) h++;
+    heights[c] = h;
+  }
+
+  return { rows, cols, winLength, tables, cells, heights, hashHi, hashLo, moveCount };
+};
+
+const canPlay = (pos, col) => pos.heights[col] < pos.rows;
+
+const play = (pos, col, player) => {
+  const index = (pos.rows - 1 - pos.heights[col]) * pos.cols + col;
+  pos.cells[index] = player;
+  pos.heights[col]++;
+  pos.moveCount++;
+  pos.hashHi ^= pos.tables.zobristHi[index * 3 + player];
+  pos.hashLo ^= pos.tables.zobristLo[index * 3 + player];
+};
+
+const undo = (pos, col) => {
+  pos.heights[col]--;
+  const index = (pos.rows - 1 - pos.heights[col]) * pos.cols + col;
+  const player = pos.cells[index];
+  pos.cells[index] = EMPTY;
+  pos.moveCount--;
+  pos.hashHi ^= pos.tables.zobristHi[index * 3 + player];
+  pos.hashLo ^= pos.tables.zobristLo[index * 3 + player];
+};
+
+const hashKey = (pos) => pos.hashHi * 0x100000000 + (pos.hashLo >>> 0);
+
+// Would dropping `player` into `col` complete a line? Only lines through the new disc are checked.
+const isWinningMove = (pos, col, player) => {
+  const { rows, cols, cells, winLength } = pos;
+  const row = rows - 1 - pos.heights[col];
+  const directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+  for (const [dr, dc] of directions) {
+    let count = 1;
+    for (const sign of [1, -1]) {
+      let r = row + dr * sign;
+      let c = col + dc * sign;
+      while (r >= 0 && r < rows && c >= 0 && c < cols && cells[r * cols + c] === player) {
+        count++;
+        r += dr * sign;
+        c += dc * sign;
+      }
+    }
+    if (count >= winLength) return true;
+  }
+  return false;
+};
+
+// Static evaluation from `player`'s point of view
+const evaluate = (pos, player) => {
+  const { cells, cols, tables, winLength } = pos;
+  const opponent = 3 - player;
+  let score = 0;
+
+  for (const window of tables.windows) {
+    let mine = 0;
+    let theirs = 0;
+    for (const index of window) {
+      if (cells[index] === player) mine++;
+      else if (cells[index] === opponent) theirs++;
+    }
+    if (mine > 0 && theirs > 0) continue;
+    const count = mine || theirs;
+    if (count === 0) continue;
+    const weight = count === winLength - 1 ? 50 : count === winLength - 2 ? 10 : 1;
+    score += mine ? weight : -weight;
+  }
+
+  for (let i = 0; i < cells.length; i++) {
+    if (cells[i] === EMPTY) continue;
+    const weight = tables.centerWeights[i % cols];
+    score += cells[i] === player ? weight : -weight;
+  }
+
+  return score;
+};
+
+// Mate scores are stored relative to the node so they stay valid at any ply
+const toTT = (score, ply) =>
+  score > MATE_THRESHOLD ? score + ply : score < -MATE_THRESHOLD ? score - ply : score;
+const fromTT = (score, ply) =>
+  score > MATE_THRESHOLD ? score - ply : score < -MATE_THRESHOLD ? score + ply : score;
+
+const orderMoves = (pos, ttMove) => {
+  const moves = [];
+  if (ttMove !== undefined && canPlay(pos, ttMove)) moves.push(ttMove);
+  for (const col of pos.tables.moveOrder) {
+    if (col !== ttMove && canPlay(pos, col)) moves.push(col);
+  }
+  return moves;
+};
+
+const negamax = (ctx, depth, alpha, beta, player, ply) => {
+  const { pos, tt } = ctx;
+
+  ctx.nodes++;
+  if ((ctx.nodes & 1023) === 0 && Date.now() > ctx.deadline) throw TIMEOUT;
+
+  if (pos.moveCount === pos.cells.length) return 0; // Draw
+
+  // Take an immediate win before looking any deeper
+  for (const col of pos.tables.moveOrder) {
+    if (canPlay(pos, col) && isWinningMove(pos, col, player)) return WIN_SCORE - ply;
+  }
+
+  if (depth === 0) return evaluate(pos, player);
+
+  const key = hashKey(pos);
+  const entry = tt.get(key);
+  const alphaOrig = alpha;
+  if (entry && entry.depth >= depth) {
+    const score = fromTT(entry.score, ply);
+    if (entry.flag === TT_EXACT) return score;
+    if (entry.flag === TT_LOWER) alpha = Math.max(alpha, score);
+    else if (entry.flag === TT_UPPER) beta = Math.min(beta, score);
+    if (alpha >= beta) return score;
+  }
+
+  const moves = orderMoves(pos, entry && entry.bestMove);
+  let best = -Infinity;
+  let bestMove = moves[0];
+
+  for (const col of moves) {
+    play(pos, col, player);
+    const score = -negamax(ctx, depth - 1, -beta, -alpha, 3 - player, ply + 1);
+    undo(pos, col);
+
+    if (score > best) {
+      best = score;
+      bestMove = col;
+    }
+    if (score > alpha) alpha = score;
+    if (alpha >= beta) break;
+  }
+
+  if (tt.size >= MAX_TT_ENTRIES) tt.clear();
+  tt.set(key, {
+    depth,
+    score: toTT(best, ply),
+    flag: best <= alphaOrig ? TT_UPPER : best >= beta ? TT_LOWER : TT_EXACT,
+    bestMove,
+  });
+
+  return best;
+};
+
+/**
+ * Find the best column for `symbol` using iterative deepening.
+ *
+ * @param {Array<Array<string|null>>} board - Rows top-to-bottom, null for empty cells
+ * @param {Object} options
+ * @param {string} options.symbol - Symbol of the player to move
+ * @param {string} options.opponentSymbol - Symbol of the other player
+ * @param {number} [options.maxDepth] - Deepest ply to search
+ * @param {number} [options.timeLimitMs] - Time budget; the last fully searched depth wins
+ * @param {number} [options.winLength] - Discs in a row needed to win
+ * @returns {{ column: number, score: number, depth: number, nodes: number }}
+ */
+const findBestMove = (board, {
+  symbol,
+  opponentSymbol,
+  maxDepth = 8,
+  timeLimitMs = 1000,
+  winLength = 4,
+}) => {
+  const pos = createPosition(board, { 1: symbol, 2: opponentSymbol }, winLength);
+  const ctx = { pos, tt: new Map(), nodes: 0, deadline: Date.now() + timeLimitMs };
+  const remaining = pos.cells.length - pos.moveCount;
+  const depthLimit = Math.min(maxDepth, remaining);
+
+  let result = { column: orderMoves(pos)[0], score: 0, depth: 0, nodes: 0 };
+  if (result.column === undefined) return { ...result, column: -1 };
+
+  for (let depth = 1; depth <= depthLimit; depth++) {
+    try {
+      let alpha = -Infinity;
+      let bestColumn = result.column;
+      // Search the previous best move first so a timed-out depth is still useful
+      const moves = [result.column, ...orderMoves(pos).filter(c => c !== result.column)];
+
+      for (const col of moves) {
+        if (isWinningMove(pos, col, 1)) {
+          return { column: col, score: WIN_SCORE, depth, nodes: ctx.nodes };
+        }
+        play(pos, col, 1);
+        const score = -negamax(ctx, depth - 1, -Infinity, -alpha, 2, 1);
+        undo(pos, col);
+        if (score > alpha) {
+          alpha = score;
+          bestColumn = col;
+        }
+      }
+
+      result = { column: bestColumn, score: alpha, depth, nodes: ctx.nodes };
+    } catch (err) {
+      if (err !== TIMEOUT) throw err;
+      break;
+    }
+
+    // A forced win or loss has been proven; searching deeper won't change it
+    if (Math.abs(result.score) > MATE_THRESHOLD) break;
+  }
+
+  return result;
+};
+
+module.exports = {
+  findBestMove,
+  WIN_SCORE,
+};
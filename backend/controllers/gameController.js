@@ -1,127 +1,380 @@
 // controllers/gameController.js
 
 const GameService = require("../services/gameService");
+const RatingService = require("../services/ratingService");
+const ChatService = require("../services/chatService");
+const { createMatchmaker } = require("../services/matchmakingService");
+const { normalizeDifficulty } = require("../bot/difficulty");
+const { normalizeTimeControl } = require("../utils/timeControl");
+const { resolveGameOptions } = require("../rules");
+const { generateInviteCode, normalizeInviteCode } = require("../utils/inviteCode");
+const { validateMovePayload } = require("../utils/validateMove");
+const { publishEvent } = require("../events");
+const { GAME_EVENTS, createPlayerEvent } = require("../events/gameEvents");
 
-module.exports = (io) => {
-  const games = {}; // Active in-memory games
-  const waitingPlayers = [];
+const ROOM_TTL = 10 * 60 * 1000; // Unused private rooms expire after 10 minutes
+const QUEUE = "queue";
+const ROOMS = "rooms";
+const LOBBY = "lobby"; // Socket.IO room for lobby chat
+const BOT_REPLY_DELAY_MS = 1200;
+
+// Every logged-in socket joins its account's room, so chat can skip blockers on any instance
+const userRoom = (username) => `user:${username}`;
+
+// Who plays X (and so moves first) against the bot; matchmaking timeouts always let the player start
+const BOT_FIRST_MOVES = ["player", "bot", "random"];
+const botMovesFirst = (firstMove) => {
+  const choice = BOT_FIRST_MOVES.includes(firstMove) ? firstMove : "player";
+  return choice === "random" ? Math.random() < 0.5 : choice === "bot";
+};
+
+// Async handlers log their failures instead of crashing the connection
+const safely = (handler) => (...args) =>
+  Promise.resolve()
+    .then(() => handler(...args))
+    .catch(err => console.error("❌ Socket handler failed:", err.message));
+
+module.exports = (io, store) => {
+  const roomTimers = new Map(); // invite code -> expiry timer (on the host's instance)
+
+  const startBotGame = (player, { botDifficulty, timeControl, firstMove } = {}) => {
+    const Bot = require("../bot/botPlayer");
+    const botSocket = Bot.createBotSocket(io, botDifficulty);
+    const [p1, p2] = botMovesFirst(firstMove) ? [botSocket, player] : [player, botSocket];
+
+    return GameService.startNewGame(p1, p2, io, store, true, {
+      botDifficulty: botSocket.difficulty,
+      timeControl,
+    });
+  };
+
+  // 🎯 Pair players by rating; fall back to the bot after 10 seconds
+  const matchmaker = createMatchmaker({
+    maxWaitMs: 10000,
+    isCompatible: (a, b) => a.timeControl === b.timeControl,
+    queue: {
+      list: () => store.list(QUEUE),
+      add: (entry) => store.set(QUEUE, entry.id, entry),
+      remove: async (id) => {
+        const entry = await store.get(QUEUE, id);
+        await store.delete(QUEUE, id);
+        return entry;
+      },
+      withLock: (fn) => store.withLock(QUEUE, fn),
+    },
+    onMatch: (a, b) => {
+      console.log(`🎯 Matched ${a.username} (${a.rating}) with ${b.username} (${b.rating})`);
+      return GameService.startNewGame(a, b, io, store, false, {
+        timeControl: a.timeControl,
+      });
+    },
+    onTimeout: ({ id, username, botDifficulty, timeControl, joinedAt }) => {
+      publishEvent(createPlayerEvent(GAME_EVENTS.MATCHMAKING_TIMEOUT, username, {
+        waitedMs: Date.now() - joinedAt,
+        botDifficulty,
+        timeControl,
+      }));
+      return startBotGame({ id, username }, { botDifficulty, timeControl });
+    },
+  });
+  matchmaker.start();
+
+  const removeFromQueue = (socket) => matchmaker.remove(socket.id);
+
+  // 🔐 Taking a seat requires an account; guests can only browse and spectate
+  const requireUser = (socket) => {
+    if (socket.user) return true;
+    socket.emit("authError", { message: "Please log in to play." });
+    return false;
+  };
+
+  // 💬 Deliver to a room, skipping everyone who blocked the sender
+  const broadcastChat = async (room, message) => {
+    const blockers = await ChatService.getBlockers(message.username);
+    io.to(room).except(blockers.map(userRoom)).emit("chatMessage", message);
+  };
+
+  const closeRoom = async (code) => {
+    clearTimeout(roomTimers.get(code));
+    roomTimers.delete(code);
+    await store.delete(ROOMS, code);
+  };
+
+  // Hosts only close their own room (the code may have been reused since)
+  const closeHostedRoom = async (socket) => {
+    const code = socket.hostingRoom;
+    if (!code) return;
+    socket.hostingRoom = null;
+
+    const room = await store.get(ROOMS, code);
+    if (room && room.host.id === socket.id) await closeRoom(code);
+  };
 
   io.on("connection", (socket) => {
     console.log(`⚡ New client connected: ${socket.id}`);
+    if (socket.user) socket.join(userRoom(socket.user.username));
 
-    socket.on("joinGame", (username) => {
+    socket.on("joinGame", safely(async (payload) => {
+      if (!requireUser(socket)) return;
+
+      // The account name always wins over any name in the payload
+      const { botDifficulty, timeControl } = typeof payload === "object" && payload ? payload : {};
+      const { username } = socket.user;
       console.log(`${username} attempting to join`);
 
-      socket.username = username;
+      await closeHostedRoom(socket);
 
-      // ✅ Prevent duplicate queue entries
-      const alreadyInQueue = waitingPlayers.find(s => s.id === socket.id);
-      if (alreadyInQueue) {
+      // ✅ Prevent duplicate queue entries, including the same account from another tab
+      const waiting = await matchmaker.entries();
+      if (waiting.some(e => e.id === socket.id || e.username === username)) {
         console.log(`⚠️ ${username} is already in the queue.`);
         return;
       }
 
-      waitingPlayers.push(socket);
-      console.log(`${username} joined`);
-
-      // ✅ Pair players if 2 are waiting
-      if (waitingPlayers.length >= 2) {
-        const [p1, p2] = waitingPlayers.splice(0, 2);
-        GameService.startNewGame(p1, p2, io, games);
-      } else {
-        // 🧠 Fallback to bot after 10 seconds
-        setTimeout(() => {
-          if (waitingPlayers.includes(socket)) {
-            const index = waitingPlayers.indexOf(socket);
-            if (index !== -1) waitingPlayers.splice(index, 1);
-
-            const Bot = require("../bot/botPlayer");
-            const botSocket = Bot.createBotSocket(io);
-
-            GameService.startNewGame(socket, botSocket, io, games, true);
-          }
-        }, 10000);
+      const rating = await RatingService.getRating(username);
+      if (!socket.connected) return; // Left while the rating was loading
+
+      await matchmaker.enqueue({
+        id: socket.id,
+        username,
+        rating,
+        botDifficulty: normalizeDifficulty(botDifficulty),
+        timeControl: normalizeTimeControl(timeControl),
+      });
+      console.log(`${username} joined (rating ${rating})`);
+    }));
+
+    // 🤖 Skip the queue and play the bot straight away
+    socket.on("startBotGame", safely(async (payload) => {
+      if (!requireUser(socket)) return;
+      if (socket.startingBotGame) return; // Ignore double clicks
+
+      const { botDifficulty, timeControl, firstMove } = typeof payload === "object" && payload ? payload : {};
+      socket.startingBotGame = true;
+      try {
+        await removeFromQueue(socket);
+        await closeHostedRoom(socket);
+
+        console.log(`🤖 ${socket.user.username} started a bot game`);
+        await startBotGame({ id: socket.id, username: socket.user.username }, {
+          botDifficulty: normalizeDifficulty(botDifficulty),
+          timeControl: normalizeTimeControl(timeControl),
+          firstMove,
+        });
+      } finally {
+        socket.startingBotGame = false;
       }
-    });
+    }));
 
-    socket.on("makeMove", ({ gameId, column }) => {
-      GameService.handleMove(socket, gameId, column, games, io);
-    });
+    // 🔒 Private rooms pair two specific players, with no bot fallback
+    socket.on("createRoom", safely(async ({ timeControl, gameOptions } = {}) => {
+      if (!requireUser(socket)) return;
 
-    socket.on("disconnect", () => {
-      console.log(`⚠️ ${socket.username} disconnected`);
+      // 📐 The host picks the board; reject sizes the server can't play
+      const { options, error } = resolveGameOptions(gameOptions);
+      if (error) {
+        socket.emit("roomError", { message: error });
+        return;
+      }
 
-      // 🧹 Remove from waiting pool if pending
-      const index = waitingPlayers.findIndex(s => s.id === socket.id);
-      if (index !== -1) waitingPlayers.splice(index, 1);
+      const { username } = socket.user;
+      await removeFromQueue(socket);
+      await closeHostedRoom(socket);
 
-      // 🔁 If already in game, start disconnect timer
-      for (let gameId in games) {
-        const game = games[gameId];
+      let code;
+      do {
+        code = generateInviteCode();
+      } while (await store.get(ROOMS, code));
 
-        if (!game.symbols[socket.id]) continue;
+      // The store copy outlives the timer slightly, so the timer always does the cleanup
+      await store.set(ROOMS, code, {
+        code,
+        host: { id: socket.id, username },
+        timeControl: normalizeTimeControl(timeControl),
+        gameOptions: options,
+        createdAt: new Date().toISOString(),
+      }, { ttlMs: ROOM_TTL + 60 * 1000 });
 
-        const opponent = game.players.find(p => p.id !== socket.id);
-        if (!opponent) continue;
+      roomTimers.set(code, setTimeout(safely(async () => {
+        roomTimers.delete(code);
+        const room = await store.get(ROOMS, code);
+        if (room && room.host.id === socket.id) {
+          socket.emit("roomExpired", { code });
+          await closeRoom(code);
+        }
+      }), ROOM_TTL));
+      socket.hostingRoom = code;
 
-        io.to(gameId).emit("playerDisconnected", {
-          message: `${socket.username} disconnected. Waiting 30s to reconnect...`,
-        });
+      socket.emit("roomCreated", { code, gameOptions: options });
+      console.log(`🔒 ${username} created room ${code}`);
+    }));
 
-        // ⏳ Give 30 seconds to reconnect
-        game.disconnectTimers[socket.username] = setTimeout(() => {
-          io.to(gameId).emit("gameOver", {
-            winner: opponent.username,
-            reason: "disconnect timeout",
-          });
+    socket.on("joinRoom", safely(async ({ code } = {}) => {
+      if (!requireUser(socket)) return;
 
-          delete games[gameId];
-        }, 30000);
-      }
-    });
+      const { username } = socket.user;
+      const roomCode = normalizeInviteCode(code);
 
-    socket.on("rejoin", (username) => {
-      console.log(`🔄 ${username} attempting to rejoin...`);
+      // Claim the room under a lock so two guests can't both join it
+      const room = await store.withLock(`room:${roomCode}`, async () => {
+        const found = roomCode ? await store.get(ROOMS, roomCode) : null;
 
-      for (let gameId in games) {
-        const game = games[gameId];
-        if (game.usernames[username]) {
-          const oldSocketId = game.usernames[username];
+        if (!found) {
+          socket.emit("roomError", { code: roomCode, message: "Room not found or expired." });
+          return null;
+        }
+        if (found.host.id === socket.id || found.host.username === username) {
+          socket.emit("roomError", { code: roomCode, message: "You can't join your own room." });
+          return null;
+        }
 
-          // ✅ Cancel disconnect timer
-          clearTimeout(game.disconnectTimers[username]);
+        await closeRoom(roomCode);
+        return found;
+      });
+      if (!room) return;
 
-          // 🔁 Rebind socket
-          game.symbols[socket.id] = game.symbols[oldSocketId];
-          delete game.symbols[oldSocketId];
+      await removeFromQueue(socket);
 
-          game.usernames[username] = socket.id;
-          socket.username = username;
-          socket.join(gameId);
+      console.log(`🔓 ${username} joined room ${roomCode}`);
+      await GameService.startNewGame(room.host, socket, io, store, false, {
+        timeControl: room.timeControl,
+        gameOptions: room.gameOptions,
+      });
+    }));
 
-          game.players = game.players.map(p =>
-            p.id === oldSocketId ? socket : p
-          );
+    socket.on("cancelRoom", safely(() => closeHostedRoom(socket)));
 
-          // 🎯 Restore state
-          socket.emit("rejoinSuccess", {
-            gameId,
-            board: game.board,
-            turn: game.turn === socket.id,
-            opponent: game.players.find(p => p.id !== socket.id).username,
-          });
+    // { gameId, move: { type, column } }; a bare column still means a drop
+    socket.on("makeMove", safely((payload) => {
+      const { value, error } = validateMovePayload(payload);
+      if (error) {
+        const gameId = payload && typeof payload.gameId === "string" ? payload.gameId : null;
+        GameService.rejectMove(io, socket, gameId, { ...GameService.MOVE_REJECTIONS.INVALID_PAYLOAD, message: error });
+        return;
+      }
+      return GameService.handleMove(socket, value.gameId, value.move, store, io);
+    }));
+
+    // 🏳️ Ending a game early, and playing it again
+    ["resign", "offerDraw", "acceptDraw", "declineDraw", "requestRematch", "declineRematch"].forEach(action => {
+      socket.on(action, safely(({ gameId } = {}) => {
+        if (!requireUser(socket)) return;
+        return GameService[action](socket, gameId, store, io);
+      }));
+    });
+
+    socket.on("syncState", safely(({ gameId } = {}) =>
+      GameService.syncState(socket, gameId, store)
+    ));
+
+    // 💬 Lobby chat is open to everyone who joins it; guests can read but not write
+    socket.on("joinLobbyChat", safely(async () => {
+      socket.join(LOBBY);
+      socket.emit("chatHistory", { gameId: null, messages: await ChatService.getHistory(null) });
+    }));
+
+    socket.on("leaveLobbyChat", () => socket.leave(LOBBY));
+
+    // Players and spectators can read a game's chat
+    socket.on("getChatHistory", safely(async ({ gameId } = {}) => {
+      const game = await GameService.getGame(gameId, store);
+      if (!game || !(game.symbols[socket.id] || game.spectators[socket.id])) {
+        socket.emit("chatError", { gameId, message: "Game not found or you are not in it." });
+        return;
+      }
+      socket.emit("chatHistory", { gameId, messages: await ChatService.getHistory(gameId) });
+    }));
 
-          io.to(gameId).emit("playerRejoined", {
-            message: `${username} rejoined the game.`,
-          });
+    // { gameId, text }; without a gameId the message goes to the lobby
+    socket.on("sendMessage", safely(async ({ gameId = null, text } = {}) => {
+      if (!requireUser(socket)) return;
 
+      const { username } = socket.user;
+      const cleaned = ChatService.cleanMessage(text);
+      if (cleaned.error) {
+        socket.emit("chatError", { gameId, message: cleaned.error });
+        return;
+      }
+
+      if (gameId === null) {
+        if (!socket.rooms.has(LOBBY)) {
+          socket.emit("chatError", { gameId, message: "Join the lobby chat first." });
           return;
         }
+        await broadcastChat(LOBBY, await ChatService.saveMessage({ username, text: cleaned.text }));
+        return;
       }
 
-      socket.emit("rejoinFailed", {
-        message: "Game not found or timeout expired.",
-      });
+      // 👀 Spectators only read along
+      const game = await GameService.getGame(gameId, store);
+      if (!game || !game.symbols[socket.id]) {
+        socket.emit("chatError", { gameId, message: "Only players of a live game can chat in it." });
+        return;
+      }
+      await broadcastChat(gameId, await ChatService.saveMessage({ gameId, username, text: cleaned.text }));
+
+      // 🤖 The bot always has something to say back
+      const bot = game.players.find(p => p.isBot);
+      if (bot) {
+        setTimeout(safely(async () => {
+          const taunt = await ChatService.saveMessage({ gameId, username: bot.username, text: ChatService.randomTaunt() });
+          await broadcastChat(gameId, taunt);
+        }), BOT_REPLY_DELAY_MS);
+      }
+    }));
+
+    // 🚫 Blocks are kept per account; the answer is always the full list
+    const updateBlocks = (change) => safely(async ({ username: other } = {}) => {
+      if (!requireUser(socket)) return;
+
+      const { username } = socket.user;
+      if (change && (typeof other !== "string" || other === "" || other === username)) {
+        socket.emit("chatError", { gameId: null, message: "Pick another player to block." });
+        return;
+      }
+
+      try {
+        if (change) await change(username, other);
+        socket.emit("blockedUsers", { usernames: await ChatService.getBlockedUsers(username) });
+      } catch (err) {
+        console.error("❌ Chat block update failed:", err.message);
+        socket.emit("chatError", { gameId: null, message: "Blocking is unavailable right now." });
+      }
     });
+
+    socket.on("blockUser", updateBlocks(ChatService.blockUser));
+    socket.on("unblockUser", updateBlocks(ChatService.unblockUser));
+    socket.on("getBlockedUsers", updateBlocks(null));
+
+    socket.on("listLiveGames", safely(async () => {
+      socket.emit("liveGames", await GameService.listLiveGames(store));
+    }));
+
+    socket.on("spectateGame", safely(async ({ gameId } = {}) => {
+      await GameService.removeSpectator(socket, store); // Watch one game at a time
+      await GameService.addSpectator(socket, gameId, store);
+    }));
+
+    socket.on("stopSpectating", safely(() => GameService.removeSpectator(socket, store)));
+
+    socket.on("disconnect", safely(async () => {
+      console.log(`⚠️ ${socket.username} disconnected`);
+
+      await GameService.removeSpectator(socket, store);
+
+      // 🧹 Remove from waiting pool and close any room still waiting for a guest
+      await removeFromQueue(socket);
+      await closeHostedRoom(socket);
+
+      // 🔁 If already in game, start disconnect timer
+      await GameService.handleDisconnect(socket, store, io);
+    }));
+
+    socket.on("rejoin", safely((payload) => {
+      if (!requireUser(socket)) return;
+
+      console.log(`🔄 ${socket.username} attempting to rejoin...`);
+      return GameService.rejoinGame(socket, payload, store, io);
+    }));
   });
 };
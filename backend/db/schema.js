@@ -0,0 +1,162 @@
+// db/schema.js
+
+const pool = require("./index");
+
+// Statements are idempotent so they can run on every startup
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS games (
+    id VARCHAR(255) PRIMARY KEY,
+    player1 VARCHAR(255) NOT NULL,
+    player2 VARCHAR(255) NOT NULL,
+    winner VARCHAR(255),
+    is_draw BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `ALTER TABLE games ADD COLUMN IF NOT EXISTS bot_difficulty VARCHAR(20)`,
+  `ALTER TABLE games ADD COLUMN IF NOT EXISTS started_at TIMESTAMP`,
+  `ALTER TABLE games ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP`,
+  `ALTER TABLE games ADD COLUMN IF NOT EXISTS end_reason VARCHAR(50)`,
+  `ALTER TABLE games ADD COLUMN IF NOT EXISTS time_control VARCHAR(20)`,
+  // Board size and win length; older games were all classic 6x7 connect-4
+  `ALTER TABLE games ADD COLUMN IF NOT EXISTS board_rows INTEGER NOT NULL DEFAULT 6`,
+  `ALTER TABLE games ADD COLUMN IF NOT EXISTS board_columns INTEGER NOT NULL DEFAULT 7`,
+  `ALTER TABLE games ADD COLUMN IF NOT EXISTS win_length INTEGER NOT NULL DEFAULT 4`,
+  `ALTER TABLE games ADD COLUMN IF NOT EXISTS variant VARCHAR(20) NOT NULL DEFAULT 'classic'`,
+  // One row per disc dropped; ply starts at 1
+  `CREATE TABLE IF NOT EXISTS moves (
+    id SERIAL PRIMARY KEY,
+    game_id VARCHAR(255) NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+    ply INTEGER NOT NULL,
+    player VARCHAR(255) NOT NULL,
+    column_index INTEGER NOT NULL,
+    row_index INTEGER NOT NULL,
+    played_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (game_id, ply)
+  )`,
+  // "drop" or "pop" (PopOut, Pop 10)
+  `ALTER TABLE moves ADD COLUMN IF NOT EXISTS move_type VARCHAR(10) NOT NULL DEFAULT 'drop'`,
+  // Elo ratings; bot games are not rated
+  `CREATE TABLE IF NOT EXISTS player_ratings (
+    username VARCHAR(255) PRIMARY KEY,
+    rating INTEGER NOT NULL DEFAULT 1200,
+    peak_rating INTEGER NOT NULL DEFAULT 1200,
+    games_played INTEGER NOT NULL DEFAULT 0,
+    wins INTEGER NOT NULL DEFAULT 0,
+    losses INTEGER NOT NULL DEFAULT 0,
+    draws INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE INDEX IF NOT EXISTS player_ratings_rating_idx ON player_ratings (rating DESC)`,
+  `CREATE TABLE IF NOT EXISTS rating_history (
+    id SERIAL PRIMARY KEY,
+    game_id VARCHAR(255) NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+    username VARCHAR(255) NOT NULL,
+    opponent VARCHAR(255) NOT NULL,
+    rating_before INTEGER NOT NULL,
+    rating_after INTEGER NOT NULL,
+    score REAL NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (game_id, username)
+  )`,
+  // Registered accounts; usernames are unique regardless of case
+  `CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(255) NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_login_at TIMESTAMP
+  )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS users_username_lower_idx ON users (LOWER(username))`,
+  // Latest state of each unfinished game, reloaded after a crash
+  `CREATE TABLE IF NOT EXISTS game_snapshots (
+    game_id VARCHAR(255) PRIMARY KEY REFERENCES games(id) ON DELETE CASCADE,
+    state JSONB NOT NULL,
+    saved_at TIMESTAMP NOT NULL
+  )`,
+  // Game chat has a game id; lobby chat doesn't
+  `CREATE TABLE IF NOT EXISTS chat_messages (
+    id SERIAL PRIMARY KEY,
+    game_id VARCHAR(255) REFERENCES games(id) ON DELETE CASCADE,
+    username VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE INDEX IF NOT EXISTS chat_messages_game_idx ON chat_messages (game_id, id)`,
+  // username no longer receives chat from blocked_username
+  `CREATE TABLE IF NOT EXISTS chat_blocks (
+    username VARCHAR(255) NOT NULL,
+    blocked_username VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (username, blocked_username)
+  )`,
+  // Filled by the analytics consumer (analytics/aggregator.js) from gameOver events.
+  // One row per game counted, so a redelivered event is never counted twice.
+  `CREATE TABLE IF NOT EXISTS analytics_games (
+    game_id VARCHAR(255) PRIMARY KEY,
+    ended_at TIMESTAMP NOT NULL,
+    duration_ms BIGINT NOT NULL,
+    first_player VARCHAR(255) NOT NULL,
+    winner VARCHAR(255),
+    is_draw BOOLEAN NOT NULL DEFAULT FALSE,
+    end_reason VARCHAR(50),
+    is_bot_game BOOLEAN NOT NULL DEFAULT FALSE,
+    bot_won BOOLEAN NOT NULL DEFAULT FALSE,
+    variant VARCHAR(20) NOT NULL DEFAULT 'classic',
+    move_count INTEGER NOT NULL DEFAULT 0,
+    opening_column INTEGER
+  )`,
+  `ALTER TABLE analytics_games ADD COLUMN IF NOT EXISTS board_rows INTEGER NOT NULL DEFAULT 6`,
+  `ALTER TABLE analytics_games ADD COLUMN IF NOT EXISTS board_columns INTEGER NOT NULL DEFAULT 7`,
+  `CREATE INDEX IF NOT EXISTS analytics_games_ended_idx ON analytics_games (ended_at)`,
+  // Totals per hour the games ended in
+  `CREATE TABLE IF NOT EXISTS analytics_hourly (
+    hour TIMESTAMP PRIMARY KEY,
+    games INTEGER NOT NULL DEFAULT 0,
+    total_duration_ms BIGINT NOT NULL DEFAULT 0,
+    draws INTEGER NOT NULL DEFAULT 0,
+    first_mover_wins INTEGER NOT NULL DEFAULT 0,
+    second_mover_wins INTEGER NOT NULL DEFAULT 0,
+    bot_games INTEGER NOT NULL DEFAULT 0,
+    bot_wins INTEGER NOT NULL DEFAULT 0,
+    bot_draws INTEGER NOT NULL DEFAULT 0
+  )`,
+  // Which column the first disc went into, and how those games ended for the first mover.
+  // Kept per board size, since column 3 is the centre of a 7-wide board but not of a 9-wide one.
+  `CREATE TABLE IF NOT EXISTS analytics_board_openings (
+    board_rows INTEGER NOT NULL,
+    board_columns INTEGER NOT NULL,
+    column_index INTEGER NOT NULL,
+    games INTEGER NOT NULL DEFAULT 0,
+    first_mover_wins INTEGER NOT NULL DEFAULT 0,
+    draws INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (board_rows, board_columns, column_index)
+  )`,
+  // How often each cell was part of the winning line, per board size
+  `CREATE TABLE IF NOT EXISTS analytics_winning_cells (
+    board_rows INTEGER NOT NULL,
+    board_columns INTEGER NOT NULL,
+    row_index INTEGER NOT NULL,
+    column_index INTEGER NOT NULL,
+    wins INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (board_rows, board_columns, row_index, column_index)
+  )`,
+  // Events the Kafka bus couldn't deliver yet; the relay sends and deletes them in id order
+  `CREATE TABLE IF NOT EXISTS event_outbox (
+    id BIGSERIAL PRIMARY KEY,
+    topic VARCHAR(255) NOT NULL,
+    event_key VARCHAR(255),
+    payload JSONB NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+];
+
+const initSchema = async () => {
+  for (const statement of SCHEMA) {
+    await pool.query(statement);
+  }
+  console.log("✅ Database schema ready");
+};
+
+module.exports = { initSchema };
@@ -0,0 +1,33 @@
+// events/fileBus.js
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FILE = "game-events.ndjson";
+
+/**
+ * Appends each event as one line of JSON (newline-delimited JSON), e.g. to
+ * replay a session into the analytics tables or inspect it with `jq`.
+ */
+const createFileBus = (file = DEFAULT_FILE) => {
+  const target = path.resolve(file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+
+  let tail = Promise.resolve(); // Appends run one after another so lines keep their order
+
+  const publish = (event) => {
+    tail = tail
+      .then(() => fs.promises.appendFile(target, `${JSON.stringify(event)}\n`))
+      .catch(err => console.error("❌ Failed to write event:", err.message));
+    return tail;
+  };
+
+  return {
+    type: "file",
+    file: target,
+    publish,
+    close: () => tail,
+  };
+};
+
+module.exports = { createFileBus };
@@ -0,0 +1,60 @@
+// events/gameEvents.js
+
+const crypto = require("crypto");
+
+/**
+ * Every event on the game-events topic has the same envelope:
+ *
+ *   { schemaVersion, eventId, type, gameId, players, ply, startedAt, occurredAt, data }
+ *
+ * - players: [{ username, symbol, isBot }] in seat order, so players[0] moved first.
+ *   Usernames are the player ids.
+ * - ply: moves played when the event happened (a moveMade carries its own ply)
+ * - startedAt / occurredAt: ISO times of the game start and of the event
+ * - data: the fields of that event type (listed in the README)
+ *
+ * Fields may be added within a version; renaming or removing one bumps SCHEMA_VERSION.
+ */
+const SCHEMA_VERSION = 1;
+
+const GAME_EVENTS = {
+  GAME_STARTED: "gameStarted",
+  MOVE_MADE: "moveMade",
+  PLAYER_DISCONNECTED: "playerDisconnected",
+  PLAYER_REJOINED: "playerRejoined",
+  GAME_FORFEITED: "gameForfeited",
+  MATCHMAKING_TIMEOUT: "matchmakingTimeout",
+  GAME_OVER: "gameOver",
+};
+
+const envelope = (type, { gameId = null, players = [], ply = null, startedAt = null }, data) => ({
+  schemaVersion: SCHEMA_VERSION,
+  eventId: crypto.randomUUID(),
+  type,
+  gameId,
+  players,
+  ply,
+  startedAt,
+  occurredAt: new Date().toISOString(),
+  data,
+});
+
+// An event about a game; ply defaults to the moves played so far
+const createGameEvent = (type, game, data = {}, { ply = game.moves.length } = {}) =>
+  envelope(type, {
+    gameId: game.id,
+    players: game.players.map(p => ({ username: p.username, symbol: game.symbols[p.id], isBot: Boolean(p.isBot) })),
+    ply,
+    startedAt: game.createdAt,
+  }, data);
+
+// An event about a player before they have a game (e.g. still queued)
+const createPlayerEvent = (type, username, data = {}) =>
+  envelope(type, { players: [{ username, symbol: null, isBot: false }] }, data);
+
+module.exports = {
+  SCHEMA_VERSION,
+  GAME_EVENTS,
+  createGameEvent,
+  createPlayerEvent,
+};
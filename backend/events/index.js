@@ -0,0 +1,54 @@
+// events/index.js
+
+/**
+ * Pluggable event bus for the game event stream (see gameEvents.js).
+ *
+ * EVENT_BUS=kafka (default) publishes to Kafka (settings in kafkaConfig.js);
+ * events produced while Kafka is down wait in the event_outbox table.
+ * EVENT_BUS=file appends newline-delimited JSON to EVENT_BUS_FILE.
+ * EVENT_BUS=memory keeps recent events in this process.
+ *
+ * Every bus exposes:
+ *   publish(event) -> resolves once the event is handed off; never rejects,
+ *                     each bus logs its own failures
+ *   close()        -> stops background work and releases connections
+ */
+
+const { createKafkaBus } = require("./kafkaBus");
+const { createFileBus } = require("./fileBus");
+const { createMemoryBus } = require("./memoryBus");
+
+const createEventBus = async (type = process.env.EVENT_BUS || "kafka") => {
+  if (type === "kafka") {
+    const bus = createKafkaBus();
+    await bus.start();
+    return bus;
+  }
+  if (type === "file") return createFileBus(process.env.EVENT_BUS_FILE);
+  return createMemoryBus();
+};
+
+// Services publish from code loaded before the bus is chosen, so they look it up on every event
+let activeBus = null;
+
+const getEventBus = () => {
+  if (!activeBus) activeBus = createMemoryBus();
+  return activeBus;
+};
+
+const setEventBus = async (bus) => {
+  if (activeBus && activeBus !== bus) await activeBus.close();
+  activeBus = bus;
+};
+
+const publishEvent = (event) => getEventBus().publish(event);
+
+module.exports = {
+  createEventBus,
+  createKafkaBus,
+  createFileBus,
+  createMemoryBus,
+  getEventBus,
+  setEventBus,
+  publishEvent,
+};
@@ -0,0 +1,143 @@
+// events/kafkaBus.js
+
+const { Kafka } = require("kafkajs");
+const { kafkaConfigFromEnv } = require("./kafkaConfig");
+const outbox = require("./outbox");
+
+const RELAY_INTERVAL_MS = parseInt(process.env.OUTBOX_RELAY_INTERVAL_MS, 10) || 5000;
+
+// Keying by game id keeps each game's events on one partition, in order
+const messageKey = (event) => event.gameId || event.type;
+
+// kafkajs errors mean the producer needs to reconnect; anything else came from the outbox
+const isKafkaError = (err) => typeof err.name === "string" && err.name.startsWith("KafkaJS");
+
+/**
+ * Publishes to Kafka. While Kafka is unreachable events are written to the
+ * outbox table instead, and the relay sends them (oldest first) once it is
+ * back. New events queue behind the outbox until it is empty, so a game's
+ * events still arrive in order.
+ */
+const createKafkaBus = (config = kafkaConfigFromEnv(), { relayIntervalMs = RELAY_INTERVAL_MS } = {}) => {
+  const { topic } = config;
+  const producer = new Kafka(config.client).producer();
+
+  let connected = false;
+  let connecting = null;
+  let backlog = false; // The outbox may hold events
+  let outboxWrites = 0; // Bumped per outbox write, so the relay can tell if one raced its drain
+  let saving = Promise.resolve(); // Outbox inserts run one at a time, in publish order
+  let relaying = false;
+  let relayTimer = null;
+
+  const connect = () => {
+    if (!connecting) {
+      connecting = producer.connect()
+        .then(() => {
+          connected = true;
+          console.log("✅ Kafka producer connected");
+        })
+        .catch(err => console.warn("⚠️ Kafka not available, events go to the outbox:", err.message))
+        .finally(() => {
+          connecting = null;
+        });
+    }
+    return connecting;
+  };
+
+  const toOutbox = async (event) => {
+    backlog = true;
+    outboxWrites++;
+    const write = saving.then(() => outbox.saveToOutbox(topic, messageKey(event), event));
+    saving = write.catch(() => {});
+    try {
+      await write;
+    } catch (err) {
+      console.error(`❌ Dropped ${event.type} event, outbox unavailable:`, err.message);
+    }
+  };
+
+  const publish = async (event) => {
+    if (!connected || backlog) return toOutbox(event);
+
+    try {
+      await producer.send({
+        topic,
+        messages: [{ key: messageKey(event), value: JSON.stringify(event) }],
+      });
+    } catch (err) {
+      console.error("❌ Failed to send Kafka event:", err.message);
+      connected = false; // The relay reconnects
+      await toOutbox(event);
+    }
+  };
+
+  const sendRows = (rows) => {
+    const byTopic = new Map();
+    for (const row of rows) {
+      if (!byTopic.has(row.topic)) byTopic.set(row.topic, []);
+      byTopic.get(row.topic).push({ key: row.event_key, value: JSON.stringify(row.payload) });
+    }
+    return producer.sendBatch({
+      topicMessages: [...byTopic].map(([rowTopic, messages]) => ({ topic: rowTopic, messages })),
+    });
+  };
+
+  // 📬 Reconnect if needed, then drain the outbox
+  const relay = async () => {
+    if (relaying || (connected && !backlog)) return;
+    relaying = true;
+
+    try {
+      if (!connected) await connect();
+      if (!connected) return;
+
+      let sent;
+      let writes;
+      do {
+        writes = outboxWrites;
+        await saving; // Rows counted so far are in the table before we look
+        sent = await outbox.relayOutbox(sendRows);
+        if (sent > 0) console.log(`📬 Relayed ${sent} events from the outbox`);
+      } while (sent > 0);
+      // An event published during the last pass is still waiting; the next relay sends it
+      if (writes === outboxWrites) backlog = false;
+    } catch (err) {
+      console.error("❌ Outbox relay failed:", err.message);
+      if (isKafkaError(err)) connected = false;
+    } finally {
+      relaying = false;
+    }
+  };
+
+  const start = async () => {
+    await connect();
+    try {
+      backlog = (await outbox.countOutbox()) > 0; // Left over from an earlier run
+    } catch (err) {
+      console.warn("⚠️ Could not check the event outbox:", err.message);
+    }
+
+    relayTimer = setInterval(relay, relayIntervalMs);
+    relayTimer.unref();
+    await relay();
+  };
+
+  const close = async () => {
+    clearInterval(relayTimer);
+    if (connected) await producer.disconnect();
+    connected = false;
+  };
+
+  return {
+    type: "kafka",
+    topic,
+    start,
+    publish,
+    relay,
+    close,
+    isConnected: () => connected,
+  };
+};
+
+module.exports = { createKafkaBus };
@@ -0,0 +1,44 @@
+// events/kafkaConfig.js
+
+/**
+ * Kafka settings shared by the backend's event bus and the analytics consumer.
+ *
+ *   KAFKA_BROKER_URL      comma-separated brokers (default localhost:9092)
+ *   KAFKA_CLIENT_ID       client id (default connect4-backend)
+ *   KAFKA_TOPIC           topic for game events (default game-events)
+ *   KAFKA_SSL=true        connect over TLS
+ *   KAFKA_SASL_MECHANISM  plain | scram-sha-256 | scram-sha-512, with
+ *                         KAFKA_SASL_USERNAME and KAFKA_SASL_PASSWORD
+ */
+
+const SASL_MECHANISMS = ["plain", "scram-sha-256", "scram-sha-512"];
+
+// `clientId` lets another service (the consumer) keep its own id
+const kafkaConfigFromEnv = (env = process.env, { clientId } = {}) => {
+  const brokers = (env.KAFKA_BROKER_URL || "localhost:9092")
+    .split(",")
+    .map(broker => broker.trim())
+    .filter(Boolean);
+
+  const client = {
+    clientId: clientId || env.KAFKA_CLIENT_ID || "connect4-backend",
+    brokers,
+  };
+  if (env.KAFKA_SSL === "true") client.ssl = true;
+
+  if (env.KAFKA_SASL_MECHANISM) {
+    const mechanism = env.KAFKA_SASL_MECHANISM.toLowerCase();
+    if (!SASL_MECHANISMS.includes(mechanism)) {
+      throw new Error(`Unsupported KAFKA_SASL_MECHANISM "${env.KAFKA_SASL_MECHANISM}" (use ${SASL_MECHANISMS.join(", ")})`);
+    }
+    client.sasl = {
+      mechanism,
+      username: env.KAFKA_SASL_USERNAME,
+      password: env.KAFKA_SASL_PASSWORD,
+    };
+  }
+
+  return { client, topic: env.KAFKA_TOPIC || "game-events" };
+};
+
+module.exports = { SASL_MECHANISMS, kafkaConfigFromEnv };
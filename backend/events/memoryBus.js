@@ -0,0 +1,41 @@
+// events/memoryBus.js
+
+const MEMORY_BUS_LIMIT = 1000;
+
+/**
+ * Keeps the latest events in this process and hands each one to subscribers.
+ * Meant for development and tests; nothing survives a restart.
+ */
+const createMemoryBus = ({ limit = MEMORY_BUS_LIMIT } = {}) => {
+  const events = [];
+  const listeners = new Set();
+
+  const publish = async (event) => {
+    events.push(event);
+    if (events.length > limit) events.shift();
+
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error("❌ Event listener failed:", err.message);
+      }
+    }
+  };
+
+  // Returns a function that removes the listener again
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    type: "memory",
+    publish,
+    subscribe,
+    events: () => [...events],
+    close: async () => listeners.clear(),
+  };
+};
+
+module.exports = { createMemoryBus };
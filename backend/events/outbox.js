@@ -0,0 +1,71 @@
+// events/outbox.js
+
+/**
+ * Events the Kafka bus couldn't deliver wait in the event_outbox table until
+ * the relay gets them through. Rows are claimed with SKIP LOCKED, so several
+ * backend instances can drain the same table without sending a row twice.
+ */
+
+const pool = require("../db");
+
+const BATCH_SIZE = 100;
+
+const saveToOutbox = (topic, key, event) =>
+  pool.query(
+    `INSERT INTO event_outbox (topic, event_key, payload) VALUES ($1, $2, $3)`,
+    [topic, key, JSON.stringify(event)]
+  );
+
+const countOutbox = async () => {
+  const result = await pool.query(`SELECT COUNT(*)::int AS count FROM event_outbox`);
+  return result.rows[0].count;
+};
+
+/**
+ * Hand the oldest waiting rows ({ id, topic, event_key, payload }) to `send`
+ * and delete them once it resolves. When `send` fails the rows stay, with the
+ * attempt counted, and the error is rethrown.
+ * @returns {Promise<number>} how many events were delivered
+ */
+const relayOutbox = async (send, batchSize = BATCH_SIZE) => {
+  const client = await pool.connect();
+  let rows = [];
+  let sendError = null;
+
+  try {
+    await client.query("BEGIN");
+    ({ rows } = await client.query(
+      `SELECT id, topic, event_key, payload
+       FROM event_outbox
+       ORDER BY id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [batchSize]
+    ));
+
+    const ids = rows.map(row => row.id);
+    if (rows.length > 0) {
+      try {
+        await send(rows);
+        await client.query(`DELETE FROM event_outbox WHERE id = ANY($1)`, [ids]);
+      } catch (err) {
+        sendError = err;
+        await client.query(
+          `UPDATE event_outbox SET attempts = attempts + 1, last_error = $2 WHERE id = ANY($1)`,
+          [ids, err.message]
+        );
+      }
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (sendError) throw sendError;
+  return rows.length;
+};
+
+module.exports = { saveToOutbox, countOutbox, relayOutbox };
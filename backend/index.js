@@ -4,7 +4,14 @@ const http = require("http");
 const cors = require("cors");
 const { Server } = require("socket.io");
 const leaderboardRoutes = require("./routes/leaderboard");
-const { connectProducer } = require("./kafka/producer");
+const gamesRoutes = require("./routes/games");
+const authRoutes = require("./routes/auth");
+const analyticsRoutes = require("./routes/analytics");
+const { createEventBus, setEventBus } = require("./events");
+const { initSchema } = require("./db/schema");
+const { createStore } = require("./store");
+const { createRateLimitStore, setRateLimitStore } = require("./store/rateLimitStore");
+const GameService = require("./services/gameService");
 const { apiLimiter, healthLimiter } = require("./utils/rateLimiter");
 
 const app = express();
@@ -18,10 +25,48 @@ const io = new Server(server, {
 const PORT = process.env.PORT || 5000;
 
 const { socketConnectionLimiter, socketEventLimiter } = require('./utils/socketRateLimiter');
+const { socketAuth } = require('./utils/auth');
 
 // ✅ Main startup
 const startServer = async () => {
-  await connectProducer(); // 🧠 Important: Wait for Kafka to be ready
+  try {
+    await initSchema();
+  } catch (err) {
+    console.warn("⚠️ Could not initialize database schema:", err.message);
+  }
+
+  // 📣 Game events go to the configured bus (Kafka falls back to the outbox table while it's down)
+  const eventBus = await createEventBus();
+  await setEventBus(eventBus);
+  console.log(`📣 Using ${eventBus.type} event bus`);
+
+  // 🗃️ Active games, the queue and rooms live in the configured store
+  const store = await createStore();
+  console.log(`🗃️ Using ${store.type} state store`);
+
+  // 🚦 HTTP and socket limiters share one hit store (Redis keeps limits across instances)
+  const rateLimitStore = await createRateLimitStore();
+  await setRateLimitStore(rateLimitStore);
+  console.log(`🚦 Using ${rateLimitStore.type} rate limit store`);
+
+  // 📡 With Redis, rooms and broadcasts span every backend instance
+  if (store.type === "redis") {
+    const { createAdapter } = require("@socket.io/redis-adapter");
+    const { getRedisClient } = require("./store/redisClient");
+    const pubClient = (await getRedisClient()).duplicate();
+    const subClient = pubClient.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    io.adapter(createAdapter(pubClient, subClient));
+  }
+
+  // ♻️ Bring back games that were live when the last process went down,
+  // then keep snapshotting live games so the next crash can be recovered too
+  try {
+    await GameService.restoreGames(store, io);
+  } catch (err) {
+    console.warn("⚠️ Could not restore games from snapshots:", err.message);
+  }
+  GameService.startSnapshots(store);
 
   // Configure CORS with simplified options
   app.use(cors());
@@ -32,13 +77,18 @@ const startServer = async () => {
   
   // Apply rate limiting to API routes
   app.use("/leaderboard", apiLimiter, leaderboardRoutes);
+  app.use("/games", apiLimiter, gamesRoutes);
+  app.use("/analytics", apiLimiter, analyticsRoutes);
+  app.use("/auth", authRoutes); // Limiters are applied per route
+
 
   // Configure Socket.io rate limiting
   io.use(socketConnectionLimiter);
+  io.use(socketAuth); // 🔐 Attach the logged-in account, if any
   io.on('connection', socketEventLimiter);
   
   // Load game controller after rate limiting is set up
-  require("./controllers/gameController")(io); // 🎮 Load game logic after Kafka
+  require("./controllers/gameController")(io, store); // 🎮 Load game logic after the event bus
 
   // Base route with rate limiting
   app.get("/", apiLimiter, (req, res) => {
@@ -0,0 +1,198 @@
+// routes/analytics.js
+
+const express = require("express");
+const router = express.Router();
+const pool = require("../db");
+
+const DEFAULT_HOURS = 24;
+const MAX_HOURS = 24 * 30;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const MAX_BOARD_SIZE = 20;
+
+// Share of `part` in `total`, or null when there is nothing to divide
+const rate = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 1000 : null);
+
+// Whole-number query parameter in [min, max], the fallback when missing, or null when invalid
+const intParam = (value, fallback, min, max) => {
+  if (value === undefined) return fallback;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= min && parsed <= max ? parsed : null;
+};
+
+const sendInvalidParam = (res, name, min, max) =>
+  res.status(400).json({
+    error: `Invalid ${name}`,
+    message: `${name} must be a whole number from ${min} to ${max}`,
+    timestamp: new Date().toISOString(),
+  });
+
+const sendFetchError = (res, err) => {
+  console.error("❌ Analytics fetch error:", err.message);
+  res.status(500).json({
+    error: "Analytics fetch failed",
+    message: err.message,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// GET /analytics?hours=24 — Aggregates written by the analytics consumer.
+// Hourly figures cover the last `hours` hours; openings cover every game counted, per board size.
+router.get("/", async (req, res) => {
+  const hours = intParam(req.query.hours, DEFAULT_HOURS, 1, MAX_HOURS);
+  if (hours === null) return sendInvalidParam(res, "hours", 1, MAX_HOURS);
+
+  try {
+    const hourly = await pool.query(
+      `SELECT hour, games, total_duration_ms, draws, first_mover_wins, second_mover_wins,
+              bot_games, bot_wins, bot_draws
+       FROM analytics_hourly
+       WHERE hour > date_trunc('hour', NOW()) - make_interval(hours => $1)
+       ORDER BY hour`,
+      [hours]
+    );
+    const openings = await pool.query(
+      `SELECT board_rows, board_columns, column_index, games, first_mover_wins, draws
+       FROM analytics_board_openings
+       ORDER BY games DESC, board_rows, board_columns, column_index`
+    );
+
+    const sum = (field) => hourly.rows.reduce((total, row) => total + Number(row[field]), 0);
+    const games = sum("games");
+    const draws = sum("draws");
+    const firstMoverWins = sum("first_mover_wins");
+    const botGames = sum("bot_games");
+    const botWins = sum("bot_wins");
+    const botDraws = sum("bot_draws");
+    // Shares are within each board size, since a column means something different on each
+    const boardKey = (row) => `${row.board_rows}x${row.board_columns}`;
+    const openingGames = new Map();
+    for (const row of openings.rows) {
+      openingGames.set(boardKey(row), (openingGames.get(boardKey(row)) || 0) + row.games);
+    }
+
+    res.json({
+      hours,
+      games,
+      averageDurationMs: games > 0 ? Math.round(sum("total_duration_ms") / games) : null,
+      gamesPerHour: hourly.rows.map(row => ({
+        hour: row.hour,
+        games: row.games,
+        averageDurationMs: Math.round(Number(row.total_duration_ms) / row.games),
+      })),
+      firstMover: {
+        games,
+        wins: firstMoverWins,
+        losses: sum("second_mover_wins"),
+        draws,
+        winRate: rate(firstMoverWins, games),
+      },
+      bot: {
+        games: botGames,
+        wins: botWins,
+        losses: botGames - botWins - botDraws,
+        draws: botDraws,
+        winRate: rate(botWins, botGames),
+      },
+      openings: openings.rows.map(row => ({
+        rows: row.board_rows,
+        columns: row.board_columns,
+        column: row.column_index,
+        games: row.games,
+        share: rate(row.games, openingGames.get(boardKey(row))),
+        firstMoverWinRate: rate(row.first_mover_wins, row.games),
+      })),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (err) {
+    sendFetchError(res, err);
+  }
+});
+
+// GET /analytics/daily?days=30 — One entry per day that had games, over the last `days` days up to today
+router.get("/daily", async (req, res) => {
+  const days = intParam(req.query.days, DEFAULT_DAYS, 1, MAX_DAYS);
+  if (days === null) return sendInvalidParam(res, "days", 1, MAX_DAYS);
+
+  try {
+    const result = await pool.query(
+      `SELECT date_trunc('day', ended_at) AS day,
+              COUNT(*)::int AS games,
+              ROUND(AVG(duration_ms))::int AS average_duration_ms,
+              ROUND(AVG(move_count), 1)::float AS average_moves,
+              COUNT(*) FILTER (WHERE is_draw)::int AS draws,
+              COUNT(*) FILTER (WHERE winner = first_player)::int AS first_mover_wins,
+              COUNT(*) FILTER (WHERE winner IS NOT NULL AND winner <> first_player)::int AS second_mover_wins,
+              COUNT(*) FILTER (WHERE is_bot_game)::int AS bot_games,
+              COUNT(*) FILTER (WHERE bot_won)::int AS bot_wins,
+              COUNT(*) FILTER (WHERE is_bot_game AND is_draw)::int AS bot_draws
+       FROM analytics_games
+       WHERE ended_at >= CURRENT_DATE - ($1::int - 1)
+       GROUP BY day
+       ORDER BY day`,
+      [days]
+    );
+
+    res.json({
+      days,
+      daily: result.rows.map(row => ({
+        day: row.day,
+        games: row.games,
+        averageDurationMs: row.average_duration_ms,
+        averageMoves: row.average_moves,
+        draws: row.draws,
+        firstMoverWins: row.first_mover_wins,
+        secondMoverWins: row.second_mover_wins,
+        botGames: row.bot_games,
+        botWins: row.bot_wins,
+        botDraws: row.bot_draws,
+        humanWinsVsBot: row.bot_games - row.bot_wins - row.bot_draws,
+      })),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (err) {
+    sendFetchError(res, err);
+  }
+});
+
+// GET /analytics/heatmap?rows=6&columns=7 — How often each cell was in the winning line
+router.get("/heatmap", async (req, res) => {
+  const rows = intParam(req.query.rows, 6, 1, MAX_BOARD_SIZE);
+  if (rows === null) return sendInvalidParam(res, "rows", 1, MAX_BOARD_SIZE);
+  const columns = intParam(req.query.columns, 7, 1, MAX_BOARD_SIZE);
+  if (columns === null) return sendInvalidParam(res, "columns", 1, MAX_BOARD_SIZE);
+
+  try {
+    const cells = await pool.query(
+      `SELECT row_index, column_index, wins
+       FROM analytics_winning_cells
+       WHERE board_rows = $1 AND board_columns = $2`,
+      [rows, columns]
+    );
+    // Board sizes that have data, so clients can offer the others
+    const boards = await pool.query(
+      `SELECT board_rows, board_columns, COUNT(*)::int AS games
+       FROM analytics_games
+       WHERE end_reason = 'connect_four'
+       GROUP BY board_rows, board_columns
+       ORDER BY games DESC`
+    );
+
+    const grid = Array.from({ length: rows }, () => Array(columns).fill(0));
+    for (const cell of cells.rows) grid[cell.row_index][cell.column_index] = cell.wins;
+    const board = boards.rows.find(b => b.board_rows === rows && b.board_columns === columns);
+
+    res.json({
+      rows,
+      columns,
+      games: board ? board.games : 0,
+      cells: grid,
+      boards: boards.rows.map(b => ({ rows: b.board_rows, columns: b.board_columns, games: b.games })),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (err) {
+    sendFetchError(res, err);
+  }
+});
+
+module.exports = router;
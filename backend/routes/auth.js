@@ -0,0 +1,52 @@
+// routes/auth.js
+
+const express = require("express");
+const router = express.Router();
+const AuthService = require("../services/authService");
+const { requireAuth } = require("../utils/auth");
+const { strictLimiter, apiLimiter } = require("../utils/rateLimiter");
+
+const sendAuthError = (res, err, fallback) => {
+  if (err instanceof AuthService.AuthError) {
+    return res.status(err.statusCode).json({
+      error: fallback,
+      message: err.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  console.error(`❌ ${fallback}:`, err.message);
+  res.status(500).json({
+    error: fallback,
+    message: err.message,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// POST /auth/register — Create an account and return a login token
+router.post("/register", strictLimiter, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const result = await AuthService.register(username, password);
+    res.status(201).json(result);
+  } catch (err) {
+    sendAuthError(res, err, "Registration failed");
+  }
+});
+
+// POST /auth/login — Exchange username and password for a login token
+router.post("/login", strictLimiter, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    res.json(await AuthService.login(username, password));
+  } catch (err) {
+    sendAuthError(res, err, "Login failed");
+  }
+});
+
+// GET /auth/me — The account behind the current token
+router.get("/me", apiLimiter, requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+module.exports = router;
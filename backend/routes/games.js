@@ -0,0 +1,117 @@
+// routes/games.js
+
+const express = require("express");
+const router = express.Router();
+const pool = require("../db");
+const { getRules } = require("../rules");
+
+const sendNotFound = (res, gameId) =>
+  res.status(404).json({
+    error: "Game not found",
+    gameId,
+    timestamp: new Date().toISOString(),
+  });
+
+// GET /games/:id — Game summary (players, result, timestamps)
+router.get("/:id", async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT g.id, g.player1, g.player2, g.winner, g.is_draw, g.bot_difficulty,
+              g.time_control, g.variant, g.board_rows, g.board_columns, g.win_length,
+              g.started_at, g.ended_at, g.end_reason,
+              (SELECT COUNT(*) FROM moves m WHERE m.game_id = g.id)::int AS move_count
+       FROM games g
+       WHERE g.id = $1`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) return sendNotFound(res, req.params.id);
+
+    // Some variants start with discs on the board; replays begin from this
+    const game = result.rows[0];
+    const initialBoard = getRules(game.variant).createBoard({
+      variant: game.variant,
+      rows: game.board_rows,
+      columns: game.board_columns,
+      winLength: game.win_length,
+    });
+
+    res.json({ ...game, initial_board: initialBoard });
+  } catch (err) {
+    console.error("❌ Game fetch error:", err.message);
+    res.status(500).json({
+      error: "Game fetch failed",
+      message: err.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /games/:id/moves — Every move in order, with the board after it was played
+router.get("/:id/moves", async (req, res) => {
+  try {
+    const game = await pool.query(
+      `SELECT player1, player2, variant, board_rows, board_columns, win_length FROM games WHERE id = $1`,
+      [req.params.id]
+    );
+    if (game.rows.length === 0) return sendNotFound(res, req.params.id);
+    const { player1, player2, variant } = game.rows[0];
+
+    const result = await pool.query(
+      `SELECT ply, player, move_type, column_index, row_index, played_at
+       FROM moves
+       WHERE game_id = $1
+       ORDER BY ply`,
+      [req.params.id]
+    );
+
+    // 🔁 Replay the moves so clients don't need their own game rules
+    const rules = getRules(variant);
+    const options = {
+      variant,
+      rows: game.rows[0].board_rows,
+      columns: game.rows[0].board_columns,
+      winLength: game.rows[0].win_length,
+    };
+    const replay = {
+      board: rules.createBoard(options),
+      options,
+      variantState: rules.createVariantState(options),
+    };
+
+    // player1 is always X; some variants give extra turns, so ply parity only helps for self-play
+    const symbolFor = (row) => {
+      if (player1 === player2) return row.ply % 2 === 1 ? "X" : "O";
+      return row.player === player1 ? "X" : "O";
+    };
+
+    const moves = result.rows.map(row => {
+      const symbol = symbolFor(row);
+      const applied = rules.applyMove(replay, symbol, { type: row.move_type, column: row.column_index });
+      const outcome = applied && rules.checkResult(replay, symbol, applied);
+
+      return {
+        ply: row.ply,
+        player: row.player,
+        symbol,
+        type: row.move_type,
+        column: row.column_index,
+        row: row.row_index,
+        playedAt: row.played_at,
+        board: replay.board.map(r => r.slice()),
+        winningPositions: (outcome && outcome.winningPositions) || [],
+      };
+    });
+
+    res.json(moves);
+  } catch (err) {
+    console.error("❌ Game moves fetch error:", err.message);
+    res.status(500).json({
+      error: "Game moves fetch failed",
+      message: err.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
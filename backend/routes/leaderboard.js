@@ -3,13 +3,14 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../db");
+const { PROVISIONAL_GAMES } = require("../services/ratingService");
 
 // Simple in-memory cache
 let leaderboardCache = null;
 let lastCacheTime = 0;
 const CACHE_TTL = 60 * 1000; // 1 minute cache
 
-// GET /leaderboard — Return top 10 players sorted by win count
+// GET /leaderboard — Return top 10 players sorted by Elo rating
 router.get("/", async (req, res) => {
   try {
     // Return cached result if available and not expired
@@ -27,13 +28,12 @@ router.get("/", async (req, res) => {
     // Query database for fresh data
     console.log("🔄 Fetching fresh leaderboard data");
     const result = await pool.query(`
-      SELECT winner, COUNT(*) AS wins
-      FROM games
-      WHERE winner IS NOT NULL
-      GROUP BY winner
-      ORDER BY wins DESC
+      SELECT username, rating, peak_rating, games_played, wins, losses, draws,
+             games_played < $1 AS provisional
+      FROM player_ratings
+      ORDER BY rating DESC, games_played DESC
       LIMIT 10
-    `);
+    `, [PROVISIONAL_GAMES]);
     
     // Update cache
     leaderboardCache = result.rows;
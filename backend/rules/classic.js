@@ -0,0 +1,44 @@
+// rules/classic.js
+
+/**
+ * Connect-N: drop a disc into any column that isn't full; the first line of
+ * `winLength` wins and a full board is a draw. The board size comes from the
+ * room's options.
+ */
+
+const checkWinner = require("../utils/checkWinner");
+const { createEmptyBoard, dropDisc, isBoardFull } = require("../utils/board");
+
+const openColumns = (board) =>
+  board[0].map((cell, column) => column).filter(column => !board[0][column]);
+
+const classic = {
+  id: "classic",
+  label: "Classic",
+
+  createBoard: (options) => createEmptyBoard(options),
+
+  createVariantState: () => null,
+
+  legalMoves: (game) => openColumns(game.board).map(column => ({ type: "drop", column })),
+
+  // Returns where the disc landed, or null if the move isn't legal
+  applyMove: (game, symbol, move) => {
+    if (move.type !== "drop") return null;
+    const row = dropDisc(game.board, move.column, symbol);
+    return row === -1 ? null : { type: "drop", column: move.column, row };
+  },
+
+  checkResult: (game, symbol) => {
+    const win = checkWinner(game.board, symbol, game.options.winLength);
+    if (win.isWinner) {
+      return { winner: symbol, reason: "connect_four", winningPositions: win.winningPositions };
+    }
+    if (isBoardFull(game.board)) return { isDraw: true, reason: "board_full" };
+    return null;
+  },
+
+  nextSymbol: (game, symbol) => (symbol === "X" ? "O" : "X"),
+};
+
+module.exports = classic;
@@ -0,0 +1,31 @@
+// rules/fiveInARow.js
+
+/**
+ * Five-in-a-row: connect 5 on a 9-column, 6-row board whose two outer
+ * columns start filled with alternating discs, so lines can use the edges.
+ * Otherwise it plays like classic.
+ */
+
+const classic = require("./classic");
+const { createEmptyBoard } = require("../utils/board");
+
+const BOARD = { rows: 6, columns: 9, winLength: 5 };
+
+const fiveInARow = {
+  ...classic,
+  id: "five-in-a-row",
+  label: "Five-in-a-row",
+  fixedOptions: BOARD,
+
+  createBoard: () => {
+    const board = createEmptyBoard(BOARD);
+    // Alternate from the bottom; the right edge starts with the other colour
+    for (let row = BOARD.rows - 1, i = 0; row >= 0; row--, i++) {
+      board[row][0] = i % 2 === 0 ? "X" : "O";
+      board[row][BOARD.columns - 1] = i % 2 === 0 ? "O" : "X";
+    }
+    return board;
+  },
+};
+
+module.exports = fiveInARow;
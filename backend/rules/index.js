@@ -0,0 +1,53 @@
+// rules/index.js
+
+/**
+ * Game variants. Every variant works on the stored game object and exposes:
+ *   createBoard(options)               -> the starting board
+ *   createVariantState(options)        -> extra JSON state kept in game.variantState
+ *   legalMoves(game, symbol)           -> every move `symbol` may play now
+ *   applyMove(game, symbol, move)      -> plays a { type, column } move and returns
+ *                                         what happened, or null if it isn't legal
+ *   checkResult(game, symbol, applied) -> after `symbol` moved: { winner, isDraw, reason,
+ *                                         winningPositions } or null if play goes on
+ *   nextSymbol(game, symbol, applied)  -> who moves next
+ * Variants with `fixedOptions` always use that board size and win length.
+ */
+
+const classic = require("./classic");
+const popOut = require("./popOut");
+const pop10 = require("./pop10");
+const fiveInARow = require("./fiveInARow");
+const { validateGameOptions } = require("../utils/gameOptions");
+
+const VARIANTS = {
+  [classic.id]: classic,
+  [popOut.id]: popOut,
+  [pop10.id]: pop10,
+  [fiveInARow.id]: fiveInARow,
+};
+
+const DEFAULT_VARIANT = classic.id;
+
+const getRules = (variant) => VARIANTS[variant] || VARIANTS[DEFAULT_VARIANT];
+
+/**
+ * Validate client-supplied game options, including the variant.
+ * @returns {{ options: Object|null, error: string|null }} options are { variant, rows, columns, winLength }
+ */
+const resolveGameOptions = (input) => {
+  const variant = input && input.variant !== undefined ? input.variant : DEFAULT_VARIANT;
+  if (!VARIANTS[variant]) return { options: null, error: `Unknown variant "${variant}".` };
+
+  const rules = VARIANTS[variant];
+  const { options, error } = validateGameOptions(rules.fixedOptions || input);
+  if (error) return { options: null, error };
+
+  return { options: { variant, ...options }, error: null };
+};
+
+module.exports = {
+  VARIANTS,
+  DEFAULT_VARIANT,
+  getRules,
+  resolveGameOptions,
+};
@@ -0,0 +1,127 @@
+// rules/pop10.js
+
+/**
+ * Pop 10, played on the classic board.
+ *
+ * Setup: players fill the board row by row; every disc must go into the
+ * lowest row that still has space, and lines don't count yet.
+ * Then players pop one of their own discs from the bottom row on each turn.
+ * A disc that was part of a line of four of its colour is kept and the player
+ * moves again; any other disc goes back on top of the column it came from.
+ * The first player to keep 10 discs wins. A player with nothing to pop passes;
+ * the game is drawn when neither player can move or a position repeats three times.
+ */
+
+const { createEmptyBoard, dropDisc, popDisc, isBoardFull } = require("../utils/board");
+const { recordPosition } = require("./repetition");
+
+const BOARD = { rows: 6, columns: 7, winLength: 4 };
+const DISCS_TO_WIN = 10;
+
+const other = (symbol) => (symbol === "X" ? "O" : "X");
+
+// Lowest row that still has an empty cell, or -1 when the board is full
+const fillingRow = (board) => {
+  for (let row = board.length - 1; row >= 0; row--) {
+    if (board[row].some(cell => !cell)) return row;
+  }
+  return -1;
+};
+
+// Is the disc at (row, column) part of a line of `length` discs of its colour?
+const isInLine = (board, row, column, length) => {
+  const symbol = board[row][column];
+  const directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+  return directions.some(([dr, dc]) => {
+    let count = 1;
+    for (const sign of [1, -1]) {
+      let r = row + dr * sign;
+      let c = column + dc * sign;
+      while (r >= 0 && r < board.length && c >= 0 && c < board[0].length && board[r][c] === symbol) {
+        count++;
+        r += dr * sign;
+        c += dc * sign;
+      }
+    }
+    return count >= length;
+  });
+};
+
+const pop10 = {
+  id: "pop10",
+  label: "Pop 10",
+  fixedOptions: BOARD,
+
+  createBoard: () => createEmptyBoard(BOARD),
+
+  createVariantState: () => ({ phase: "setup", captured: { X: 0, O: 0 }, positions: {} }),
+
+  legalMoves: (game, symbol) => {
+    const { board } = game;
+
+    if (game.variantState.phase === "setup") {
+      const row = fillingRow(board);
+      return board[row]
+        .map((cell, column) => column)
+        .filter(column => !board[row][column])
+        .map(column => ({ type: "drop", column }));
+    }
+
+    const bottom = board[board.length - 1];
+    return bottom
+      .map((cell, column) => column)
+      .filter(column => bottom[column] === symbol)
+      .map(column => ({ type: "pop", column }));
+  },
+
+  applyMove: (game, symbol, move) => {
+    const legal = pop10.legalMoves(game, symbol)
+      .some(m => m.type === move.type && m.column === move.column);
+    if (!legal) return null;
+
+    const { board, variantState } = game;
+
+    if (move.type === "drop") {
+      const row = dropDisc(board, move.column, symbol);
+      if (isBoardFull(board)) variantState.phase = "pop";
+      return { type: "drop", column: move.column, row };
+    }
+
+    const bottom = board.length - 1;
+    const kept = isInLine(board, bottom, move.column, BOARD.winLength);
+    popDisc(board, move.column);
+
+    if (kept) {
+      variantState.captured[symbol]++;
+      return { type: "pop", column: move.column, row: bottom, kept };
+    }
+
+    const returnedRow = dropDisc(board, move.column, symbol);
+    return { type: "pop", column: move.column, row: bottom, kept, returnedRow };
+  },
+
+  checkResult: (game, symbol, applied) => {
+    if (game.variantState.captured[symbol] >= DISCS_TO_WIN) {
+      return { winner: symbol, reason: "pop_ten" };
+    }
+    if (game.variantState.phase === "setup") return null;
+
+    if (pop10.legalMoves(game, "X").length === 0 && pop10.legalMoves(game, "O").length === 0) {
+      return { isDraw: true, reason: "no_moves" };
+    }
+    if (recordPosition(game, pop10.nextSymbol(game, symbol, applied))) {
+      return { isDraw: true, reason: "repetition" };
+    }
+
+    return null;
+  },
+
+  // A kept disc earns another turn; a player with nothing to pop passes
+  nextSymbol: (game, symbol, applied) => {
+    const preferred = applied.kept ? symbol : other(symbol);
+    return pop10.legalMoves(game, preferred).length > 0 ? preferred : other(preferred);
+  },
+};
+
+module.exports = pop10;
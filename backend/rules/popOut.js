@@ -0,0 +1,63 @@
+// rules/popOut.js
+
+/**
+ * PopOut: on your turn either drop a disc or pop one of your own discs out of
+ * the bottom row, which shifts that column down. A pop can complete lines
+ * for both players; the player who moved wins then. The board filling up is
+ * not a draw (pops are still possible), but the same position coming up a
+ * third time with the same player to move is, as is having no legal move.
+ */
+
+const checkWinner = require("../utils/checkWinner");
+const { popDisc } = require("../utils/board");
+const classic = require("./classic");
+const { recordPosition } = require("./repetition");
+
+const other = (symbol) => (symbol === "X" ? "O" : "X");
+
+const bottomRow = (board) => board.length - 1;
+
+const popOut = {
+  ...classic,
+  id: "popout",
+  label: "PopOut",
+
+  createVariantState: () => ({ positions: {} }), // position key -> times seen
+
+  legalMoves: (game, symbol) => {
+    const last = game.board[bottomRow(game.board)];
+    const pops = last
+      .map((cell, column) => column)
+      .filter(column => last[column] === symbol)
+      .map(column => ({ type: "pop", column }));
+    return [...classic.legalMoves(game), ...pops];
+  },
+
+  applyMove: (game, symbol, move) => {
+    if (move.type !== "pop") return classic.applyMove(game, symbol, move);
+
+    const row = bottomRow(game.board);
+    if (!Number.isInteger(move.column) || game.board[row][move.column] !== symbol) return null;
+    popDisc(game.board, move.column);
+    return { type: "pop", column: move.column, row };
+  },
+
+  checkResult: (game, symbol) => {
+    const { winLength } = game.options;
+
+    // The mover's own line counts first, even if the pop also completed one for the opponent
+    for (const player of [symbol, other(symbol)]) {
+      const win = checkWinner(game.board, player, winLength);
+      if (win.isWinner) {
+        return { winner: player, reason: "connect_four", winningPositions: win.winningPositions };
+      }
+    }
+
+    if (recordPosition(game, other(symbol))) return { isDraw: true, reason: "repetition" };
+
+    if (popOut.legalMoves(game, other(symbol)).length === 0) return { isDraw: true, reason: "no_moves" };
+    return null;
+  },
+};
+
+module.exports = popOut;
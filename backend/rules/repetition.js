@@ -0,0 +1,21 @@
+// rules/repetition.js
+
+// Variants where discs can leave the board may never fill it; a position seen
+// this many times (same discs, same player to move) ends the game in a draw
+const REPETITION_LIMIT = 3;
+
+const positionKey = (board, toMove) =>
+  toMove + board.map(row => row.map(cell => cell || ".").join("")).join("/");
+
+/**
+ * Count the current position in game.variantState.positions.
+ * @returns {boolean} true once it has come up REPETITION_LIMIT times
+ */
+const recordPosition = (game, toMove) => {
+  const key = positionKey(game.board, toMove);
+  const seen = (game.variantState.positions[key] || 0) + 1;
+  game.variantState.positions[key] = seen;
+  return seen >= REPETITION_LIMIT;
+};
+
+module.exports = { REPETITION_LIMIT, recordPosition };
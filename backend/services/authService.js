@@ -0,0 +1,119 @@
+// services/authService.js
+
+/**
+ * Player accounts: registration, login and JWT issuing/verification.
+ * Tokens carry { sub: user id, username } and are accepted both as a Bearer
+ * header on REST routes and in the Socket.IO handshake.
+ */
+
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const pool = require("../db");
+const { BOT_USERNAME } = require("../bot/botPlayer");
+
+const BCRYPT_ROUNDS = 10;
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || "7d";
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 72; // bcrypt ignores anything longer
+
+// ⚠️ Without a configured secret, tokens only survive until the next restart
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.JWT_SECRET) {
+  console.warn("⚠️ JWT_SECRET is not set; using a random secret for this process.");
+}
+
+// Errors carry an HTTP status so routes can pass them straight to the client
+class AuthError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = "AuthError";
+    this.statusCode = statusCode;
+  }
+}
+
+const validateCredentials = (username, password) => {
+  if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+    throw new AuthError(400, "Username must be 3-20 letters, numbers, underscores or dashes.");
+  }
+  if (username.toLowerCase() === BOT_USERNAME.toLowerCase()) {
+    throw new AuthError(409, "That username is already taken.");
+  }
+  if (
+    typeof password !== "string" ||
+    password.length < MIN_PASSWORD_LENGTH ||
+    password.length > MAX_PASSWORD_LENGTH
+  ) {
+    throw new AuthError(
+      400,
+      `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters.`
+    );
+  }
+};
+
+const signToken = (user) => {
+  return jwt.sign({ sub: String(user.id), username: user.username }, JWT_SECRET, {
+    expiresIn: TOKEN_TTL,
+  });
+};
+
+// Returns { id, username } or null if the token is missing, expired or forged
+const verifyToken = (token) => {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return { id: Number(payload.sub), username: payload.username };
+  } catch (err) {
+    return null;
+  }
+};
+
+const register = async (username, password) => {
+  validateCredentials(username, password);
+
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO users (username, password_hash, last_login_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP)
+       RETURNING id, username`,
+      [username, passwordHash]
+    );
+    console.log(`👤 Registered ${username}`);
+    return { user: rows[0], token: signToken(rows[0]) };
+  } catch (err) {
+    if (err.code === "23505") throw new AuthError(409, "That username is already taken.");
+    throw err;
+  }
+};
+
+const login = async (username, password) => {
+  if (typeof username !== "string" || typeof password !== "string") {
+    throw new AuthError(400, "Username and password are required.");
+  }
+
+  const { rows } = await pool.query(
+    `SELECT id, username, password_hash FROM users WHERE LOWER(username) = LOWER($1)`,
+    [username]
+  );
+  const user = rows[0];
+
+  // Same message for unknown users and wrong passwords
+  if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+    throw new AuthError(401, "Invalid username or password.");
+  }
+
+  await pool.query(`UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1`, [user.id]);
+
+  const account = { id: user.id, username: user.username };
+  return { user: account, token: signToken(account) };
+};
+
+module.exports = {
+  AuthError,
+  signToken,
+  verifyToken,
+  register,
+  login,
+};
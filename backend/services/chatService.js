@@ -0,0 +1,135 @@
+// services/chatService.js
+
+/**
+ * Chat persistence and per-account blocks.
+ * Game chat is stored with its game id; lobby messages have no game id.
+ * A block is one-way: the blocker stops receiving the blocked account's messages.
+ */
+
+const pool = require("../db");
+const { maskProfanity } = require("../utils/profanityFilter");
+
+const MAX_MESSAGE_LENGTH = 200;
+const HISTORY_LIMIT = 50;
+
+// Canned lines for the bot when a player talks to it
+const BOT_TAUNTS = [
+  "Is that your best move? 🤖",
+  "I've already seen how this ends.",
+  "Beep boop. Still thinking? I'm not.",
+  "Nice try, human.",
+  "I don't get tired, you know.",
+  "Good luck. You'll need it. 😏",
+];
+
+const toMessage = (row) => ({
+  id: row.id,
+  gameId: row.game_id,
+  username: row.username,
+  text: row.message,
+  createdAt: row.created_at,
+});
+
+/**
+ * Trim, length-check and mask a message.
+ * @returns {{ text: string, error: string|null }}
+ */
+const cleanMessage = (text) => {
+  if (typeof text !== "string" || text.trim() === "") {
+    return { text: null, error: "Message can't be empty." };
+  }
+
+  const trimmed = text.trim();
+  if (trimmed.length > MAX_MESSAGE_LENGTH) {
+    return { text: null, error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters.` };
+  }
+
+  return { text: maskProfanity(trimmed), error: null };
+};
+
+// Chat keeps working without the database; the message just isn't kept
+const saveMessage = async ({ gameId = null, username, text }) => {
+  const createdAt = new Date();
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO chat_messages (game_id, username, message, created_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, game_id, username, message, created_at`,
+      [gameId, username, text, createdAt]
+    );
+    return toMessage(rows[0]);
+  } catch (err) {
+    console.error("❌ Failed to save chat message:", err.message);
+    return { id: null, gameId, username, text, createdAt };
+  }
+};
+
+// Latest messages of a game (or the lobby when gameId is null), oldest first
+const getHistory = async (gameId = null, limit = HISTORY_LIMIT) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, game_id, username, message, created_at
+       FROM chat_messages
+       WHERE game_id IS NOT DISTINCT FROM $1
+       ORDER BY id DESC
+       LIMIT $2`,
+      [gameId, limit]
+    );
+    return rows.reverse().map(toMessage);
+  } catch (err) {
+    console.error("❌ Failed to load chat history:", err.message);
+    return [];
+  }
+};
+
+// Accounts that don't want to hear from `username`
+const getBlockers = async (username) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT username FROM chat_blocks WHERE blocked_username = $1`,
+      [username]
+    );
+    return rows.map(row => row.username);
+  } catch (err) {
+    console.error("❌ Failed to load chat blocks:", err.message);
+    return [];
+  }
+};
+
+const getBlockedUsers = async (username) => {
+  const { rows } = await pool.query(
+    `SELECT blocked_username FROM chat_blocks WHERE username = $1 ORDER BY created_at`,
+    [username]
+  );
+  return rows.map(row => row.blocked_username);
+};
+
+const blockUser = async (username, blocked) => {
+  await pool.query(
+    `INSERT INTO chat_blocks (username, blocked_username) VALUES ($1, $2)
+     ON CONFLICT DO NOTHING`,
+    [username, blocked]
+  );
+};
+
+const unblockUser = async (username, blocked) => {
+  await pool.query(
+    `DELETE FROM chat_blocks WHERE username = $1 AND blocked_username = $2`,
+    [username, blocked]
+  );
+};
+
+const randomTaunt = () => BOT_TAUNTS[Math.floor(Math.random() * BOT_TAUNTS.length)];
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  HISTORY_LIMIT,
+  cleanMessage,
+  saveMessage,
+  getHistory,
+  getBlockers,
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+  randomTaunt,
+};
@@ -1,47 +1,346 @@
 // services/gameService.js
 
-const { v4: uuidv4 } = require("uuid");
-const checkWinner = require("../utils/checkWinner");
-const { sendGameEvent } = require("../kafka/producer");
+const crypto = require("crypto");
+const { getRules, resolveGameOptions } = require("../rules");
+const { publishEvent } = require("../events");
+const { GAME_EVENTS, createGameEvent } = require("../events/gameEvents");
 const pool = require("../db");
+const RatingService = require("./ratingService");
+const SnapshotService = require("./snapshotService");
+const { chooseBotColumn } = require("../bot/botPool");
+const { normalizeDifficulty } = require("../bot/difficulty");
+const { generateReconnectToken, tokensMatch } = require("../utils/reconnectToken");
+const { hashGameState } = require("../utils/stateHash");
+const { createClock, startTurn, stopClock, finishTurn, timeLeft, clockState } = require("../utils/timeControl");
 
-const saveGameToDB = async (game, winner = null, isDraw = false) => {
-  try {
+const GAMES = "games"; // Store collection holding every active game
+const REMATCHES = "rematches"; // Finished game id -> rematch offer
+const REMATCH_WINDOW_MS = 60000;
+const DISCONNECT_GRACE_MS = 30000;
+const SNAPSHOT_INTERVAL_MS = parseInt(process.env.SNAPSHOT_INTERVAL_MS, 10) || 5000;
+
+// 🗄️ Writes for one game run one after another so moves never land before the game row
+const writeQueues = new Map(); // game id -> tail of its write chain
+
+// 📣 Analytics events are published in the background; the bus logs its own failures
+const publishGameEvent = (type, game, data, options) => {
+  publishEvent(createGameEvent(type, game, data, options));
+};
+
+const queueWrite = (game, label, write) => {
+  const queued = (writeQueues.get(game.id) || Promise.resolve())
+    .then(write)
+    .catch(err => console.error(`❌ Failed to ${label}:`, err));
+  writeQueues.set(game.id, queued);
+  return queued;
+};
+
+// ⏲️ Timers can't be stored, so each instance keeps its own and re-checks the
+// stored game when one fires (another instance may have moved the game on)
+const timers = new Map(); // `${gameId}:${name}` -> timeout
+
+const setGameTimer = (gameId, name, ms, fn) => {
+  const key = `${gameId}:${name}`;
+  clearTimeout(timers.get(key));
+  timers.set(key, setTimeout(() => {
+    timers.delete(key);
+    fn();
+  }, ms));
+};
+
+const clearGameTimer = (gameId, name) => {
+  const key = `${gameId}:${name}`;
+  clearTimeout(timers.get(key));
+  timers.delete(key);
+};
+
+const clearGameTimers = (gameId) => {
+  for (const [key, timer] of timers) {
+    if (!key.startsWith(`${gameId}:`)) continue;
+    clearTimeout(timer);
+    timers.delete(key);
+  }
+};
+
+// 🔒 Load a game under its lock, let `update` change it, then write it back.
+// `update` also runs (with null) when the game doesn't exist, so callers can reply.
+const updateGame = (store, gameId, update) =>
+  store.withLock(`game:${gameId}`, async () => {
+    const game = gameId ? await store.get(GAMES, gameId) : null;
+    const result = await update(game);
+    if (game && !game.finished) await store.set(GAMES, gameId, game);
+    return result;
+  });
+
+// Only plain data goes into a stored game
+const toSeat = (player) => ({
+  id: player.id,
+  username: player.username,
+  isBot: Boolean(player.isBot),
+});
+
+const createGameRecord = (game) =>
+  queueWrite(game, "create game record", () => {
     const [p1, p2] = game.players.map(p => p.username);
-    await pool.query(
-      `INSERT INTO games (id, player1, player2, winner, is_draw) VALUES ($1, $2, $3, $4, $5)`,
-      [game.id, p1, p2, winner, isDraw]
+    return pool.query(
+      `INSERT INTO games (id, player1, player2, bot_difficulty, time_control, variant, board_rows, board_columns, win_length, started_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        game.id, p1, p2, game.botDifficulty, game.clock.timeControl.id, game.options.variant,
+        game.options.rows, game.options.columns, game.options.winLength, game.createdAt,
+      ]
     );
-  } catch (err) {
-    console.error("❌ Failed to save game:", err);
+  });
+
+const saveMoveToDB = (game, move) =>
+  queueWrite(game, "save move", () =>
+    pool.query(
+      `INSERT INTO moves (game_id, ply, player, move_type, column_index, row_index, played_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [game.id, move.ply, move.player, move.type, move.column, move.row, move.timestamp]
+    )
+  );
+
+// Moves played after the last snapshot were lost in the crash; drop them so plies line up again
+const trimMovesInDB = (game) =>
+  queueWrite(game, "trim moves", () =>
+    pool.query(
+      `DELETE FROM moves WHERE game_id = $1 AND ply > $2`,
+      [game.id, game.moves.length]
+    )
+  );
+
+// The result, the rating changes it causes and the snapshot cleanup are committed together
+const saveGameToDB = (game, winner = null, isDraw = false, endReason = null) =>
+  queueWrite(game, "save game", async () => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `UPDATE games SET winner = $2, is_draw = $3, ended_at = $4, end_reason = $5 WHERE id = $1`,
+        [game.id, winner, isDraw, new Date(), endReason]
+      );
+      // Nobody played it out, so nobody's rating moves
+      if (endReason !== END_REASONS.ABANDONED) await RatingService.applyGameResult(client, game, { winner, isDraw });
+      await client.query(`DELETE FROM game_snapshots WHERE game_id = $1`, [game.id]);
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  });
+
+// Stored in games.end_reason and sent with gameOver; the rules engine reports the game-play ones
+const END_REASONS = {
+  CONNECT_FOUR: "connect_four",
+  BOARD_FULL: "board_full",
+  REPETITION: "repetition",
+  NO_MOVES: "no_moves",
+  POP_TEN: "pop_ten",
+  DISCONNECT_TIMEOUT: "disconnect_timeout",
+  TIMEOUT: "timeout",
+  RESIGNATION: "resignation",
+  DRAW_AGREED: "draw_agreed",
+  ABANDONED: "abandoned", // Every player left; no winner and unrated
+};
+
+// Games lost without being beaten on the board; these also publish gameForfeited
+const FORFEIT_REASONS = [END_REASONS.DISCONNECT_TIMEOUT, END_REASONS.TIMEOUT, END_REASONS.RESIGNATION];
+
+// Sent as moveRejected.reason, with a default message for the player
+const MOVE_REJECTIONS = {
+  INVALID_PAYLOAD: { reason: "invalid_payload", message: "That move request was malformed." },
+  GAME_NOT_FOUND: { reason: "game_not_found", message: "Game not found or already finished." },
+  SPECTATOR: { reason: "spectator", message: "Spectators cannot make moves." },
+  NOT_A_PLAYER: { reason: "not_a_player", message: "You are not playing in this game." },
+  NOT_YOUR_TURN: { reason: "not_your_turn", message: "It's not your turn." },
+  TIME_EXPIRED: { reason: "time_expired", message: "Your time ran out." },
+  COLUMN_OUT_OF_RANGE: { reason: "column_out_of_range", message: "That column is not on the board." },
+  COLUMN_FULL: { reason: "column_full", message: "That column is full." },
+  ILLEGAL_MOVE: { reason: "illegal_move", message: "That move isn't allowed right now." },
+};
+
+// io.to() also reaches the player when their socket lives on another instance
+const rejectMove = (io, socket, gameId, { reason, message }, move = null) => {
+  if (socket.isBot) {
+    console.error(`❌ Bot move rejected in game ${gameId}: ${reason}`);
+    return;
   }
+  io.to(socket.id).emit("moveRejected", { gameId, reason, message, move });
+};
+
+// Resign, draw and rematch requests that can't be honoured
+const actionFailed = (socket, gameId, action, message) =>
+  socket.emit("gameActionFailed", { gameId, action, message });
+
+const playerWithSymbol = (game, symbol) => game.players.find(p => game.symbols[p.id] === symbol);
+
+const turnUsername = (game) => game.players.find(p => p.id === game.turn).username;
+
+// 🧾 Fingerprint of what clients see now; the next moveMade quotes it as previousHash.
+// `turn` is null once the game is over.
+const updateStateHash = (game, turn) => {
+  game.stateHash = hashGameState({
+    board: game.board,
+    turn,
+    moveNumber: game.moves.length,
+    variantState: game.variantState,
+  });
 };
 
-const createEmptyBoard = () => {
-  return Array.from({ length: 6 }, () => Array(7).fill(null));
+// ⏱️ Start the clock of the player to move; running out of time loses the game
+const runClock = (game, store, io) => {
+  const player = game.players.find(p => p.id === game.turn);
+  const left = startTurn(game.clock, player.username);
+  setGameTimer(game.id, "clock", left, () => checkClock(game.id, store, io));
 };
 
-const dropDisc = (board, column, symbol) => {
-  for (let row = board.length - 1; row >= 0; row--) {
-    if (!board[row][column]) {
-      board[row][column] = symbol;
-      return row;
+const checkClock = (gameId, store, io) =>
+  updateGame(store, gameId, async (game) => {
+    if (!game || !game.clock.running) return;
+
+    const username = game.clock.running;
+    const left = timeLeft(game.clock, username);
+    if (left > 0) {
+      // Another instance restarted this clock; check again when it runs out
+      setGameTimer(gameId, "clock", left, () => checkClock(gameId, store, io));
+      return;
     }
-  }
-  return -1; // Column full
+
+    const opponent = game.players.find(p => p.username !== username);
+    console.log(`⏱️ ${username} ran out of time in game ${gameId}`);
+    await finishGame(game, store, io, {
+      winner: opponent.username,
+      reason: END_REASONS.TIMEOUT,
+    });
+  }).catch(err => console.error("❌ Clock check failed:", err.message));
+
+// 🤖 Let the bot answer if the game is waiting on it.
+// The search runs on a worker thread without the game's lock; handleMove
+// checks the move again under the lock (the game may have ended meanwhile).
+const scheduleBotMove = (game, store, io) => {
+  const nextPlayer = game.players.find(p => p.id === game.turn);
+  if (!game.isBotGame || !nextPlayer.isBot) return;
+
+  const symbol = game.symbols[nextPlayer.id];
+  const { id: gameId, board } = game;
+  const searchOptions = { symbol, difficulty: game.botDifficulty, winLength: game.options.winLength };
+  const legal = getRules(game.options.variant).legalMoves(game, symbol);
+
+  setGameTimer(gameId, "bot", 300, async () => {
+    try {
+      const botMove = await chooseBotColumn(board, searchOptions);
+
+      // The search only knows drops; when the variant needs something else, play any legal move
+      const move = legal.find(m => m.type === "drop" && m.column === botMove) || legal[0];
+      console.log("🤖 Bot making move:", move);
+
+      await GameService.handleMove(nextPlayer, gameId, move, store, io);
+    } catch (err) {
+      console.error("❌ Bot move failed:", err.message);
+    }
+  });
 };
 
-const isBoardFull = (board) => {
-  return board.every(row => row.every(cell => cell));
+// ⏳ Give a seat the rejoin window before it is forfeited
+const startDisconnectTimer = (gameId, username, socketId, store, io) => {
+  setGameTimer(gameId, `disconnect:${username}`, DISCONNECT_GRACE_MS, () =>
+    checkDisconnect(gameId, username, socketId, store, io)
+  );
+};
+
+// ⏳ Forfeit a seat whose player never came back (unless they rejoined meanwhile).
+// When the other player is gone too, nobody gets the win.
+const checkDisconnect = (gameId, username, socketId, store, io) =>
+  updateGame(store, gameId, async (game) => {
+    if (!game || game.usernames[username] !== socketId) return;
+
+    const humans = game.players.filter(p => !p.isBot);
+    if (humans.length > 1 && humans.every(p => game.disconnected && game.disconnected[p.username])) {
+      await finishGame(game, store, io, { reason: END_REASONS.ABANDONED });
+      return;
+    }
+
+    const opponent = game.players.find(p => p.username !== username);
+    await finishGame(game, store, io, {
+      winner: opponent.username,
+      reason: END_REASONS.DISCONNECT_TIMEOUT,
+    });
+  }).catch(err => console.error("❌ Disconnect check failed:", err.message));
+
+// 🏁 Announce the result, persist it and drop the game from the store.
+// Must be called while holding the game's lock.
+const finishGame = async (game, store, io, { winner = null, isDraw = false, reason, winningPositions } = {}) => {
+  game.finished = true;
+  await store.delete(GAMES, game.id);
+
+  clearGameTimers(game.id);
+  stopClock(game.clock); // Freeze both clocks at their final values
+
+  io.to(game.id).emit("gameOver", {
+    winner,
+    draw: isDraw,
+    reason,
+    clock: clockState(game.clock),
+    board: game.board, // Include final board state
+    winningPositions,
+  });
+
+  if (FORFEIT_REASONS.includes(reason)) {
+    publishGameEvent(GAME_EVENTS.GAME_FORFEITED, game, {
+      player: game.players.find(p => p.username !== winner).username,
+      winner,
+      reason,
+    });
+  }
+  publishGameEvent(GAME_EVENTS.GAME_OVER, game, {
+    winner,
+    isDraw,
+    reason,
+    variant: game.options.variant,
+    options: game.options,
+    openingColumn: game.moves.length ? game.moves[0].column : null,
+    winningPositions: winningPositions || null,
+    durationMs: Date.now() - new Date(game.createdAt).getTime(),
+  });
+
+  // 🔁 Both players can ask for a rematch for a while (bot games only need the human)
+  await store.set(REMATCHES, game.id, {
+    gameId: game.id,
+    players: game.players,
+    isBotGame: game.isBotGame,
+    botDifficulty: game.botDifficulty,
+    timeControl: game.clock.timeControl.id,
+    gameOptions: game.options,
+    requestedBy: [],
+  }, { ttlMs: REMATCH_WINDOW_MS });
+
+  const saved = saveGameToDB(game, winner, isDraw, reason);
+  await saved;
+  if (writeQueues.get(game.id) === saved) writeQueues.delete(game.id);
 };
 
 const GameService = {
-  startNewGame: (p1, p2, io, games, isBotGame = false) => {
-    const gameId = uuidv4();
+  END_REASONS,
+  MOVE_REJECTIONS,
+
+  rejectMove,
+
+  // p1 and p2 may be sockets or plain { id, username, isBot } seats on any instance.
+  // options.gameOptions should already be validated; anything invalid gets the classic board.
+  startNewGame: async (p1, p2, io, store, isBotGame = false, options = {}) => {
+    const gameId = crypto.randomUUID();
+    [p1, p2] = [toSeat(p1), toSeat(p2)];
+    const gameOptions = resolveGameOptions(options.gameOptions).options || resolveGameOptions().options;
+    const rules = getRules(gameOptions.variant);
 
     const game = {
       id: gameId,
-      board: createEmptyBoard(),
+      board: rules.createBoard(gameOptions),
+      options: gameOptions, // { variant, rows, columns, winLength }
+      variantState: rules.createVariantState(gameOptions),
       players: [p1, p2],
       symbols: {
         [p1.id]: "X",
@@ -53,94 +352,485 @@ const GameService = {
       },
       turn: p1.id,
       isBotGame,
-      disconnectTimers: {},
-      createdAt: new Date(),
+      botDifficulty: isBotGame ? normalizeDifficulty(options.botDifficulty) : null,
+      moves: [],
+      spectators: {}, // socket id -> display name
+      reconnectTokens: {}, // username -> secret for taking the seat back
+      clock: createClock(options.timeControl, [p1.username, p2.username]),
+      createdAt: new Date().toISOString(),
     };
 
-    games[gameId] = game;
+    game.players.forEach(player => {
+      if (!player.isBot) game.reconnectTokens[player.username] = generateReconnectToken();
+    });
+    updateStateHash(game, p1.username);
 
-    p1.join(gameId);
-    p2.join(gameId);
+    runClock(game, store, io);
+    await store.set(GAMES, gameId, game);
+    createGameRecord(game);
 
-    io.to(gameId).emit("gameStarted", {
-      gameId,
-      board: game.board,
-      players: [p1.username, p2.username],
-      turn: p1.username,
+    // 🔑 Each seat gets its own reconnect token, so gameStarted is sent per player.
+    // io.in() also reaches sockets connected to other instances (via the adapter).
+    game.players.forEach(player => {
+      if (player.isBot) return;
+
+      io.in(player.id).socketsJoin(gameId);
+      io.to(player.id).emit("gameStarted", {
+        gameId,
+        board: game.board,
+        players: [p1.username, p2.username],
+        turn: p1.username,
+        botDifficulty: game.botDifficulty,
+        timeControl: game.clock.timeControl.id,
+        options: game.options,
+        variantState: game.variantState,
+        rematchOf: options.rematchOf || null,
+        moveNumber: 0,
+        stateHash: game.stateHash,
+        symbol: game.symbols[player.id],
+        clock: clockState(game.clock),
+        reconnectToken: game.reconnectTokens[player.username],
+      });
+    });
+
+    publishGameEvent(GAME_EVENTS.GAME_STARTED, game, {
+      isBotGame,
+      botDifficulty: game.botDifficulty,
+      timeControl: game.clock.timeControl.id,
+      options: game.options,
+      rematchOf: options.rematchOf || null,
     });
 
     io.to(p1.id).emit("opponentFound", { opponent: p2.username });
     io.to(p2.id).emit("opponentFound", { opponent: p1.username });
 
     console.log(`🆚 Match started: ${p1.username} vs ${p2.username}`);
+    scheduleBotMove(game, store, io); // The bot may have the first move
+    return game;
   },
 
-  handleMove: async (socket, gameId, column, games, io) => {
-    const game = games[gameId];
-    if (!game || game.turn !== socket.id) return;
+  /**
+   * Play a move for the socket's seat. Every move that can't be played is
+   * answered with a moveRejected event carrying one of MOVE_REJECTIONS.
+   * @param {{ type: "drop"|"pop", column: number }} move - Already shape-checked (see utils/validateMove)
+   */
+  handleMove: (socket, gameId, move, store, io) =>
+    updateGame(store, gameId, async (game) => {
+      const reject = (rejection) => rejectMove(io, socket, gameId, rejection, move);
 
-    const symbol = game.symbols[socket.id];
-    const row = dropDisc(game.board, column, symbol);
-    if (row === -1) return;
+      if (!game) return reject(MOVE_REJECTIONS.GAME_NOT_FOUND);
 
-    io.to(gameId).emit("moveMade", {
-      column,
-      row,
-      symbol,
-      board: game.board,
-    });
+      // 👀 Spectators share the room but never get a seat
+      if (game.spectators[socket.id]) return reject(MOVE_REJECTIONS.SPECTATOR);
+      if (!game.symbols[socket.id]) return reject(MOVE_REJECTIONS.NOT_A_PLAYER);
+      if (game.turn !== socket.id) return reject(MOVE_REJECTIONS.NOT_YOUR_TURN);
+
+      // ⏱️ A move that arrives after the flag fell doesn't count
+      if (timeLeft(game.clock, socket.username) <= 0) {
+        reject(MOVE_REJECTIONS.TIME_EXPIRED);
+        const opponent = game.players.find(p => p.id !== socket.id);
+        await finishGame(game, store, io, {
+          winner: opponent.username,
+          reason: END_REASONS.TIMEOUT,
+        });
+        return;
+      }
 
-    const winResult = checkWinner(game.board, symbol);
-    if (winResult.isWinner) {
-      io.to(gameId).emit("gameOver", {
-        winner: socket.username,
+      if (move.column >= game.options.columns) return reject(MOVE_REJECTIONS.COLUMN_OUT_OF_RANGE);
+
+      const rules = getRules(game.options.variant);
+      const symbol = game.symbols[socket.id];
+      const applied = rules.applyMove(game, symbol, move);
+      if (!applied) {
+        const full = move.type === "drop" && game.board[0][move.column];
+        return reject(full ? MOVE_REJECTIONS.COLUMN_FULL : MOVE_REJECTIONS.ILLEGAL_MOVE);
+      }
+
+      finishTurn(game.clock, socket.username);
+
+      const record = {
+        ply: game.moves.length + 1,
+        player: socket.username,
+        type: applied.type,
+        column: applied.column,
+        row: applied.row,
+        timestamp: new Date(),
+      };
+      game.moves.push(record);
+      saveMoveToDB(game, record);
+
+      const result = rules.checkResult(game, symbol, applied);
+
+      // Pass the turn (variants may grant another move) and start that clock before broadcasting it
+      if (!result) {
+        game.turn = playerWithSymbol(game, rules.nextSymbol(game, symbol, applied)).id;
+        runClock(game, store, io);
+      }
+      const turn = result ? null : turnUsername(game);
+
+      // 🧾 Clients check moveNumber and previousHash to spot missed updates, then ask for syncState
+      const previousHash = game.stateHash;
+      updateStateHash(game, turn);
+
+      io.to(gameId).emit("moveMade", {
+        move: applied,
+        moveNumber: record.ply,
+        column: applied.column,
+        row: applied.row,
+        symbol,
         board: game.board,
-        winningPositions: winResult.winningPositions, // Include winning positions
+        turn,
+        variantState: game.variantState,
+        previousHash,
+        stateHash: game.stateHash,
+        clock: clockState(game.clock),
       });
-      await sendGameEvent("gameOver", {
-        winner: socket.username,
-        players: game.players.map(p => p.username),
-        duration: Date.now() - game.createdAt,
-        timestamp: new Date(),
+
+      publishGameEvent(GAME_EVENTS.MOVE_MADE, game, {
+        player: socket.username,
+        symbol,
+        move: { type: applied.type, column: applied.column, row: applied.row },
+        turn,
+        stateHash: game.stateHash,
+        clock: clockState(game.clock),
+      }, { ply: record.ply });
+
+      if (result) {
+        const winner = result.winner ? playerWithSymbol(game, result.winner).username : null;
+        await finishGame(game, store, io, {
+          winner,
+          isDraw: Boolean(result.isDraw),
+          reason: result.reason,
+          winningPositions: result.winningPositions, // Include winning positions
+        });
+        return;
+      }
+
+      // ✅ Trigger bot if it's their turn
+      scheduleBotMove(game, store, io);
+    }),
+
+  // 📸 Everything a client needs to render a game it joined mid-way
+  getSnapshot: (game) => {
+    const turnPlayer = game.players.find(p => p.id === game.turn);
+    return {
+      gameId: game.id,
+      board: game.board,
+      players: game.players.map(p => p.username),
+      turn: turnPlayer ? turnPlayer.username : null,
+      moves: game.moves,
+      lastMove: game.moves[game.moves.length - 1] || null,
+      isBotGame: game.isBotGame,
+      botDifficulty: game.botDifficulty,
+      timeControl: game.clock.timeControl.id,
+      options: game.options,
+      variantState: game.variantState,
+      moveNumber: game.moves.length,
+      stateHash: game.stateHash,
+      clock: clockState(game.clock),
+      startedAt: game.createdAt,
+    };
+  },
+
+  /**
+   * Give a seat back to a player who lost their connection.
+   * The socket must belong to the seat's account and present the seat's current
+   * reconnect token; the token is rotated so it can only be used once.
+   */
+  rejoinGame: (socket, { gameId, reconnectToken } = {}, store, io) =>
+    updateGame(store, gameId, (game) => {
+      const username = socket.username;
+      const oldSocketId = game && game.usernames[username];
+
+      if (!oldSocketId || !tokensMatch(game.reconnectTokens[username], reconnectToken)) {
+        socket.emit("rejoinFailed", {
+          gameId,
+          message: "Game not found or timeout expired.",
+        });
+        return false;
+      }
+
+      // ✅ Cancel disconnect timer (instances that can't see it re-check on fire)
+      clearGameTimer(gameId, `disconnect:${username}`);
+
+      // 🔁 Rebind the seat to the new socket
+      if (oldSocketId !== socket.id) {
+        game.symbols[socket.id] = game.symbols[oldSocketId];
+        delete game.symbols[oldSocketId];
+        game.players = game.players.map(p => (p.id === oldSocketId ? toSeat(socket) : p));
+        if (game.turn === oldSocketId) game.turn = socket.id;
+
+        // A still-open old tab stops receiving updates for this seat
+        io.in(oldSocketId).socketsLeave(gameId);
+      }
+      game.usernames[username] = socket.id;
+      if (game.disconnected) delete game.disconnected[username];
+      game.reconnectTokens[username] = generateReconnectToken();
+      socket.join(gameId);
+
+      // 🎯 Restore state
+      socket.emit("rejoinSuccess", {
+        ...GameService.getSnapshot(game),
+        opponent: game.players.find(p => p.id !== socket.id).username,
+        symbol: game.symbols[socket.id],
+        reconnectToken: game.reconnectTokens[username],
       });
-      await saveGameToDB(game, socket.username);
-      delete games[gameId];
-      return;
-    }
 
-    if (isBoardFull(game.board)) {
-      io.to(gameId).emit("gameOver", {
-        winner: null,
-        draw: true,
-        board: game.board, // Include final board state
+      io.to(gameId).emit("playerRejoined", {
+        message: `${username} rejoined the game.`,
       });
-      
-      await sendGameEvent("gameOver", {
-        winner: socket.username,
-        players: game.players.map(p => p.username),
-        duration: Date.now() - game.createdAt,
-        timestamp: new Date(),
+      publishGameEvent(GAME_EVENTS.PLAYER_REJOINED, game, { player: username });
+
+      console.log(`🔄 ${username} rejoined game ${gameId}`);
+      return true;
+    }),
+
+  // 🔌 Start the reconnect window for every game this socket is seated in
+  handleDisconnect: async (socket, store, io) => {
+    const games = await store.list(GAMES);
+
+    for (const { id: gameId } of games.filter(g => g.symbols[socket.id])) {
+      await updateGame(store, gameId, (game) => {
+        if (!game || !game.symbols[socket.id]) return;
+
+        const opponent = game.players.find(p => p.id !== socket.id);
+        if (!opponent) return;
+        game.disconnected = { ...game.disconnected, [socket.username]: true };
+
+        io.to(gameId).emit("playerDisconnected", {
+          message: `${socket.username} disconnected. Waiting 30s to reconnect...`,
+        });
+
+        publishGameEvent(GAME_EVENTS.PLAYER_DISCONNECTED, game, {
+          player: socket.username,
+          graceMs: DISCONNECT_GRACE_MS,
+        });
+
+        // ⏳ Give 30 seconds to reconnect
+        startDisconnectTimer(gameId, socket.username, socket.id, store, io);
       });
-      await saveGameToDB(game, null, true);
-      delete games[gameId];
+    }
+  },
+
+  // 💾 Copy every live game to PostgreSQL so it can survive a crash
+  snapshotGames: async (store) => {
+    const games = await store.list(GAMES);
+    await SnapshotService.saveSnapshots(games);
+  },
+
+  startSnapshots: (store, intervalMs = SNAPSHOT_INTERVAL_MS) =>
+    setInterval(() => {
+      GameService.snapshotGames(store)
+        .catch(err => console.error("❌ Failed to snapshot games:", err.message));
+    }, intervalMs),
+
+  /**
+   * Reload games that were live when the server went down.
+   * Nobody is connected yet, so every seat starts its 30s rejoin window and
+   * the clocks resume from the snapshot (downtime is not charged).
+   * Games still present in a shared store are left to their instance.
+   * @returns {Promise<number>} how many games were restored
+   */
+  restoreGames: async (store, io) => {
+    const snapshots = await SnapshotService.loadSnapshots();
+    let restored = 0;
+
+    for (const { game, savedAt } of snapshots) {
+      await store.withLock(`game:${game.id}`, async () => {
+        if (await store.get(GAMES, game.id)) return;
+
+        // Saved before board options or variants existed
+        game.options = { ...resolveGameOptions().options, ...game.options };
+        if (game.variantState === undefined) game.variantState = null;
+        if (!game.stateHash) updateStateHash(game, turnUsername(game));
+        stopClock(game.clock, savedAt);
+        game.spectators = {}; // Their sockets are gone
+        trimMovesInDB(game);
+
+        runClock(game, store, io);
+        const humans = game.players.filter(player => !player.isBot);
+        game.disconnected = Object.fromEntries(humans.map(player => [player.username, true]));
+        humans.forEach(player => startDisconnectTimer(game.id, player.username, player.id, store, io));
+        scheduleBotMove(game, store, io);
+
+        await store.set(GAMES, game.id, game);
+        restored++;
+      });
+    }
+
+    if (restored > 0) console.log(`♻️ Restored ${restored} game(s) from snapshots`);
+    return restored;
+  },
+
+  // Live game by id, or null (also for ids that aren't strings)
+  getGame: (gameId, store) => (typeof gameId === "string" ? store.get(GAMES, gameId) : null),
+
+  // 🔄 Full state for a player or spectator whose client noticed it missed an update
+  syncState: async (socket, gameId, store) => {
+    const game = typeof gameId === "string" ? await store.get(GAMES, gameId) : null;
+
+    if (!game || !(game.symbols[socket.id] || game.spectators[socket.id])) {
+      socket.emit("syncFailed", { gameId, message: "Game not found or you are not in it." });
       return;
     }
 
-    // Switch turn
-  game.turn = game.players.find(p => p.id !== socket.id).id;
-  const nextPlayerSocket = io.sockets.sockets.get(game.turn) || game.players.find(p => p.id === game.turn);
+    socket.emit("stateSync", GameService.getSnapshot(game));
+  },
+
+  listLiveGames: async (store) => {
+    const games = await store.list(GAMES);
+    return games.map(game => ({
+      gameId: game.id,
+      players: game.players.map(p => p.username),
+      isBotGame: game.isBotGame,
+      botDifficulty: game.botDifficulty,
+      options: game.options,
+      moveCount: game.moves.length,
+      spectatorCount: Object.keys(game.spectators).length,
+      startedAt: game.createdAt,
+    }));
+  },
 
-// ✅ Trigger bot if it's their turn
-  if (game.isBotGame && nextPlayerSocket?.isBot) {
-     const botMove = require("../bot/botLogic")(game.board);
-    console.log("🤖 Bot making move at column:", botMove);
+  addSpectator: (socket, gameId, store) =>
+    updateGame(store, gameId, (game) => {
+      if (!game) {
+        socket.emit("spectateFailed", { gameId, message: "Game not found or already finished." });
+        return;
+      }
 
-    setTimeout(() => {
-      GameService.handleMove(nextPlayerSocket, gameId, botMove, games, io);
-    }, 300);
+      if (game.symbols[socket.id]) {
+        socket.emit("spectateFailed", { gameId, message: "You are playing in this game." });
+        return;
+      }
 
-  }
+      game.spectators[socket.id] = socket.username || "Spectator";
+      socket.spectating = gameId;
+      socket.join(gameId);
+
+      socket.emit("spectateSuccess", GameService.getSnapshot(game));
+      console.log(`👀 ${game.spectators[socket.id]} is watching game ${gameId}`);
+    }),
+
+  removeSpectator: async (socket, store) => {
+    const gameId = socket.spectating;
+    if (!gameId) return;
+
+    socket.spectating = null;
+    socket.leave(gameId);
+    await updateGame(store, gameId, (game) => {
+      if (game) delete game.spectators[socket.id];
+    });
+  },
+
+  // 🏳️ A player gives up; the opponent wins
+  resign: (socket, gameId, store, io) =>
+    updateGame(store, gameId, async (game) => {
+      if (!game || !game.symbols[socket.id]) {
+        return actionFailed(socket, gameId, "resign", "You are not playing in this game.");
+      }
+
+      const opponent = game.players.find(p => p.id !== socket.id);
+      console.log(`🏳️ ${socket.username} resigned game ${gameId}`);
+      await finishGame(game, store, io, {
+        winner: opponent.username,
+        reason: END_REASONS.RESIGNATION,
+      });
+    }),
+
+  // 🤝 One pending draw offer at a time; each player may offer once per move
+  offerDraw: (socket, gameId, store, io) =>
+    updateGame(store, gameId, (game) => {
+      if (!game || !game.symbols[socket.id]) {
+        return actionFailed(socket, gameId, "offerDraw", "You are not playing in this game.");
+      }
+
+      const offer = game.drawOffer;
+      if (offer && offer.pending) {
+        return actionFailed(socket, gameId, "offerDraw", "A draw offer is already pending.");
+      }
+      if (offer && offer.from === socket.username && offer.moveNumber === game.moves.length) {
+        return actionFailed(socket, gameId, "offerDraw", "Wait for another move before offering again.");
+      }
+
+      // The bot always plays on
+      const opponent = game.players.find(p => p.id !== socket.id);
+      game.drawOffer = { from: socket.username, moveNumber: game.moves.length, pending: !opponent.isBot };
+      if (opponent.isBot) {
+        socket.emit("drawDeclined", { gameId, username: opponent.username });
+        return;
+      }
+
+      io.to(gameId).emit("drawOffered", { gameId, username: socket.username });
+    }),
+
+  acceptDraw: (socket, gameId, store, io) =>
+    updateGame(store, gameId, async (game) => {
+      const offer = game && game.drawOffer;
+      if (!game || !game.symbols[socket.id] || !offer || !offer.pending || offer.from === socket.username) {
+        return actionFailed(socket, gameId, "acceptDraw", "There is no draw offer to accept.");
+      }
+
+      console.log(`🤝 Game ${gameId} drawn by agreement`);
+      await finishGame(game, store, io, { isDraw: true, reason: END_REASONS.DRAW_AGREED });
+    }),
+
+  declineDraw: (socket, gameId, store, io) =>
+    updateGame(store, gameId, (game) => {
+      const offer = game && game.drawOffer;
+      if (!game || !game.symbols[socket.id] || !offer || !offer.pending || offer.from === socket.username) {
+        return actionFailed(socket, gameId, "declineDraw", "There is no draw offer to decline.");
+      }
+
+      offer.pending = false;
+      io.to(gameId).emit("drawDeclined", { gameId, username: socket.username });
+    }),
+
+  /**
+   * Ask to play a finished game again. Once both players asked (or the human
+   * in a bot game), a new game starts with the same settings and colours swapped.
+   */
+  requestRematch: (socket, gameId, store, io) =>
+    store.withLock(`rematch:${gameId}`, async () => {
+      const offer = typeof gameId === "string" ? await store.get(REMATCHES, gameId) : null;
+      const seat = offer && offer.players.find(p => !p.isBot && p.username === socket.username);
+      if (!seat) {
+        return actionFailed(socket, gameId, "requestRematch", "This rematch is no longer available.");
+      }
+
+      seat.id = socket.id; // The player may have reconnected since the game ended
+      if (!offer.requestedBy.includes(seat.username)) offer.requestedBy.push(seat.username);
+
+      const humans = offer.players.filter(p => !p.isBot);
+      if (offer.requestedBy.length < humans.length) {
+        await store.set(REMATCHES, gameId, offer, { ttlMs: REMATCH_WINDOW_MS });
+        io.to(gameId).emit("rematchRequested", { gameId, username: seat.username });
+        return;
+      }
+
+      await store.delete(REMATCHES, gameId);
+      const [first, second] = offer.players;
+      console.log(`🔁 Rematch of ${gameId}: ${second.username} vs ${first.username}`);
+      await GameService.startNewGame(second, first, io, store, offer.isBotGame, {
+        botDifficulty: offer.botDifficulty,
+        timeControl: offer.timeControl,
+        gameOptions: offer.gameOptions,
+        rematchOf: gameId,
+      });
+    }),
+
+  declineRematch: async (socket, gameId, store, io) => {
+    const offer = typeof gameId === "string" ? await store.get(REMATCHES, gameId) : null;
+    if (!offer || !offer.players.some(p => p.username === socket.username)) return;
+
+    await store.delete(REMATCHES, gameId);
+    io.to(gameId).emit("rematchDeclined", { gameId, username: socket.username });
   },
+
+  // 🏁 End a game from outside a move (e.g. a forfeit)
+  endGame: (gameId, store, io, result = {}) =>
+    updateGame(store, gameId, async (game) => {
+      if (game) await finishGame(game, store, io, result);
+    }),
 };
 
 module.exports = GameService;
@@ -0,0 +1,197 @@
+// services/matchmakingService.js
+
+/**
+ * Skill-based matchmaking queue.
+ *
+ * Each waiting player accepts opponents within a rating window that starts at
+ * `initialWindow` and widens by `windowGrowthPerSecond` while they wait. Two
+ * players are paired when their rating gap fits inside the wider of their two
+ * windows; among several candidates the closest rating wins, ties go to
+ * whoever has waited longest. Players still unmatched after `maxWaitMs` are
+ * handed to `onTimeout` (the bot fallback). `isCompatible(a, b)` can keep
+ * players apart regardless of rating, e.g. when they asked for different time
+ * controls.
+ *
+ * Entries are kept in a pluggable `queue` ({ list, add, remove, withLock }) so
+ * several backend instances can share one queue; the default keeps it in
+ * memory. The clock can be injected via `now`, so arrival streams can be
+ * simulated by calling `enqueue()` and `tick()` directly.
+ */
+
+const DEFAULT_OPTIONS = {
+  initialWindow: 100,
+  windowGrowthPerSecond: 25,
+  maxWindow: 800,
+  maxWaitMs: 10000,
+  tickIntervalMs: 500,
+  now: Date.now,
+  isCompatible: () => true,
+};
+
+// In-process queue; entries must be plain JSON-serializable objects
+const createMemoryQueue = () => {
+  const entries = new Map();
+  let lock = Promise.resolve();
+
+  return {
+    list: async () => [...entries.values()],
+    add: async (entry) => {
+      entries.set(entry.id, entry);
+    },
+    remove: async (id) => {
+      const entry = entries.get(id) || null;
+      entries.delete(id);
+      return entry;
+    },
+    withLock: (fn) => {
+      const run = lock.then(() => fn());
+      lock = run.catch(() => {});
+      return run;
+    },
+  };
+};
+
+const createMatchmaker = (options = {}) => {
+  const {
+    onMatch,
+    onTimeout,
+    initialWindow,
+    windowGrowthPerSecond,
+    maxWindow,
+    maxWaitMs,
+    tickIntervalMs,
+    now,
+    isCompatible,
+    queue = createMemoryQueue(),
+  } = { ...DEFAULT_OPTIONS, ...options };
+
+  let interval = null;
+
+  const ratingWindow = (entry, at = now()) => {
+    const waitedSeconds = (at - entry.joinedAt) / 1000;
+    return Math.min(maxWindow, initialWindow + windowGrowthPerSecond * waitedSeconds);
+  };
+
+  const canPair = (a, b, at) => {
+    if (!isCompatible(a, b)) return false;
+    const gap = Math.abs(a.rating - b.rating);
+    return gap <= Math.max(ratingWindow(a, at), ratingWindow(b, at));
+  };
+
+  // Pure pairing pass over a FIFO-ordered list of entries
+  const findMatches = (waiting, at) => {
+    const pending = [...waiting];
+    const matches = [];
+
+    for (let i = 0; i < pending.length; i++) {
+      const entry = pending[i];
+      let best = -1;
+
+      for (let j = i + 1; j < pending.length; j++) {
+        if (!canPair(entry, pending[j], at)) continue;
+        if (best === -1 || Math.abs(entry.rating - pending[j].rating) < Math.abs(entry.rating - pending[best].rating)) {
+          best = j;
+        }
+      }
+
+      if (best !== -1) {
+        const opponent = pending.splice(best, 1)[0];
+        pending.splice(i, 1);
+        matches.push([entry, opponent]);
+        i--; // The next entry moved into this slot
+      }
+    }
+
+    const expired = pending.filter(entry => at - entry.joinedAt >= maxWaitMs);
+    return { matches, expired };
+  };
+
+  // Waiting entries, longest wait first
+  const entries = async () => {
+    const waiting = await queue.list();
+    return waiting.sort((a, b) => a.joinedAt - b.joinedAt);
+  };
+
+  const has = async (id) => {
+    const waiting = await queue.list();
+    return waiting.some(entry => entry.id === id);
+  };
+
+  const remove = (id) => queue.remove(id);
+
+  // Pair everyone who can be paired, then hand expired entries to the fallback
+  const tick = async () => {
+    const { matches, expired } = await queue.withLock(async () => {
+      const result = findMatches(await entries(), now());
+      for (const [a, b] of result.matches) {
+        await queue.remove(a.id);
+        await queue.remove(b.id);
+      }
+      for (const entry of result.expired) await queue.remove(entry.id);
+      return result;
+    });
+
+    // Callbacks run after the queue is settled so they can safely re-enqueue.
+    // The entries are already off the queue, so one failure mustn't drop the rest.
+    for (const [a, b] of matches) {
+      try {
+        if (onMatch) await onMatch(a, b);
+      } catch (err) {
+        console.error(`❌ Matchmaking onMatch failed for ${a.id} and ${b.id}:`, err.message);
+      }
+    }
+    for (const entry of expired) {
+      try {
+        if (onTimeout) await onTimeout(entry);
+      } catch (err) {
+        console.error(`❌ Matchmaking onTimeout failed for ${entry.id}:`, err.message);
+      }
+    }
+
+    return { matches, expired };
+  };
+
+  /**
+   * Add a player to the queue and try to match immediately.
+   * @param {{ id: string, rating: number }} entry - Extra fields are passed through to the callbacks
+   * @returns {Promise<boolean>} false if the player is already queued
+   */
+  const enqueue = async (entry) => {
+    const added = await queue.withLock(async () => {
+      if (await has(entry.id)) return false;
+      await queue.add({ ...entry, joinedAt: now() });
+      return true;
+    });
+    if (added) await tick();
+    return added;
+  };
+
+  const start = () => {
+    if (interval) return;
+    interval = setInterval(() => {
+      tick().catch(err => console.error("❌ Matchmaking tick failed:", err.message));
+    }, tickIntervalMs);
+  };
+
+  const stop = () => {
+    clearInterval(interval);
+    interval = null;
+  };
+
+  return {
+    enqueue,
+    remove,
+    has,
+    tick,
+    start,
+    stop,
+    ratingWindow,
+    entries,
+  };
+};
+
+module.exports = {
+  createMatchmaker,
+  createMemoryQueue,
+  DEFAULT_OPTIONS,
+};
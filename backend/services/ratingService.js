@@ -0,0 +1,124 @@
+// services/ratingService.js
+
+/**
+ * Elo ratings for human-vs-human games.
+ * New players start at DEFAULT_RATING and are provisional until they finish
+ * PROVISIONAL_GAMES rated games; provisional ratings move faster (higher K).
+ */
+
+const pool = require("../db");
+
+const DEFAULT_RATING = 1200;
+const PROVISIONAL_GAMES = 10;
+const K_PROVISIONAL = 40;
+const K_ESTABLISHED = 20;
+
+const expectedScore = (rating, opponentRating) => {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+};
+
+const kFactor = (gamesPlayed) => {
+  return gamesPlayed < PROVISIONAL_GAMES ? K_PROVISIONAL : K_ESTABLISHED;
+};
+
+// score is 1 for a win, 0.5 for a draw and 0 for a loss
+const calculateRating = (player, opponent, score) => {
+  const expected = expectedScore(player.rating, opponent.rating);
+  return Math.round(player.rating + kFactor(player.games_played) * (score - expected));
+};
+
+// Current rating for matchmaking; unknown players (or a DB outage) get the default
+const getRating = async (username) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT rating FROM player_ratings WHERE username = $1`,
+      [username]
+    );
+    return rows.length > 0 ? rows[0].rating : DEFAULT_RATING;
+  } catch (err) {
+    console.error("❌ Failed to load rating:", err.message);
+    return DEFAULT_RATING;
+  }
+};
+
+const isRatedGame = (game) => {
+  const [p1, p2] = game.players.map(p => p.username);
+  return !game.isBotGame && p1 !== p2;
+};
+
+/**
+ * Update both players' ratings and record the change for this game.
+ * Must be called with a client that is already inside a transaction.
+ */
+const applyGameResult = async (client, game, { winner = null, isDraw = false } = {}) => {
+  if (!isRatedGame(game)) return null;
+
+  const usernames = game.players.map(p => p.username);
+
+  await client.query(
+    `INSERT INTO player_ratings (username, rating, peak_rating)
+     SELECT u, $2::int, $2::int FROM UNNEST($1::varchar[]) AS u
+     ON CONFLICT (username) DO NOTHING`,
+    [usernames, DEFAULT_RATING]
+  );
+
+  // 🔒 Lock both rows so concurrent games can't overwrite each other's updates
+  const { rows } = await client.query(
+    `SELECT username, rating, games_played FROM player_ratings
+     WHERE username = ANY($1::varchar[])
+     ORDER BY username
+     FOR UPDATE`,
+    [usernames]
+  );
+  const current = Object.fromEntries(rows.map(row => [row.username, row]));
+
+  const changes = usernames.map((username, i) => {
+    const opponentName = usernames[1 - i];
+    const score = isDraw ? 0.5 : winner === username ? 1 : 0;
+    const before = current[username];
+    const after = calculateRating(before, current[opponentName], score);
+    return { username, opponent: opponentName, score, before: before.rating, after };
+  });
+
+  for (const change of changes) {
+    await client.query(
+      `UPDATE player_ratings SET
+         rating = $2,
+         peak_rating = GREATEST(peak_rating, $2),
+         games_played = games_played + 1,
+         wins = wins + $3,
+         losses = losses + $4,
+         draws = draws + $5,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE username = $1`,
+      [
+        change.username,
+        change.after,
+        change.score === 1 ? 1 : 0,
+        change.score === 0 ? 1 : 0,
+        change.score === 0.5 ? 1 : 0,
+      ]
+    );
+
+    await client.query(
+      `INSERT INTO rating_history (game_id, username, opponent, rating_before, rating_after, score)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [game.id, change.username, change.opponent, change.before, change.after, change.score]
+    );
+  }
+
+  console.log(
+    `📈 Ratings updated: ${changes.map(c => `${c.username} ${c.before}→${c.after}`).join(", ")}`
+  );
+  return changes;
+};
+
+module.exports = {
+  DEFAULT_RATING,
+  PROVISIONAL_GAMES,
+  expectedScore,
+  calculateRating,
+  getRating,
+  isRatedGame,
+  applyGameResult,
+};
@@ -0,0 +1,45 @@
+// services/snapshotService.js
+
+/**
+ * Crash recovery for active games.
+ * Live games are copied to `game_snapshots` every few seconds so they can be
+ * loaded back when the server starts again. A snapshot is removed in the same
+ * transaction that saves the game's result.
+ */
+
+const pool = require("../db");
+
+// Upsert every live game and drop snapshots of games that are no longer live
+const saveSnapshots = async (games, savedAt = new Date()) => {
+  for (const game of games) {
+    // Skip games whose result is already saved (they may finish mid-snapshot)
+    await pool.query(
+      `INSERT INTO game_snapshots (game_id, state, saved_at)
+       SELECT id, $2, $3 FROM games WHERE id = $1 AND ended_at IS NULL
+       ON CONFLICT (game_id) DO UPDATE SET state = EXCLUDED.state, saved_at = EXCLUDED.saved_at`,
+      [game.id, JSON.stringify(game), savedAt]
+    );
+  }
+
+  await pool.query(
+    `DELETE FROM game_snapshots WHERE NOT (game_id = ANY($1::varchar[]))`,
+    [games.map(game => game.id)]
+  );
+};
+
+// Snapshots of games that never got a result, oldest first
+const loadSnapshots = async () => {
+  const { rows } = await pool.query(
+    `SELECT s.state, s.saved_at
+     FROM game_snapshots s
+     JOIN games g ON g.id = s.game_id
+     WHERE g.ended_at IS NULL
+     ORDER BY s.saved_at`
+  );
+  return rows.map(row => ({ game: row.state, savedAt: row.saved_at.getTime() }));
+};
+
+module.exports = {
+  saveSnapshots,
+  loadSnapshots,
+};
@@ -0,0 +1,34 @@
+// store/index.js
+
+/**
+ * Pluggable state store for active games, the matchmaking queue and private rooms.
+ *
+ * STATE_STORE=memory (default) keeps everything in this process.
+ * STATE_STORE=redis shares state through REDIS_URL so several backend
+ * instances can serve the same games.
+ *
+ * Every store exposes:
+ *   get(collection, id)                 -> value or null
+ *   set(collection, id, value, {ttlMs}) -> stores a JSON-serializable value
+ *   delete(collection, id)              -> true if something was removed
+ *   list(collection)                    -> every live value in the collection
+ *   withLock(key, fn)                   -> runs fn while holding an exclusive lock
+ */
+
+const { createMemoryStore } = require("./memoryStore");
+const { createRedisStore } = require("./redisStore");
+const { getRedisClient } = require("./redisClient");
+
+const createStore = async (type = process.env.STATE_STORE || "memory") => {
+  if (type === "redis") {
+    const client = await getRedisClient();
+    return createRedisStore(client);
+  }
+  return createMemoryStore();
+};
+
+module.exports = {
+  createStore,
+  createMemoryStore,
+  createRedisStore,
+};
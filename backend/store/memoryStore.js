@@ -0,0 +1,76 @@
+// store/memoryStore.js
+
+/**
+ * Single-process state store. Values are kept as JSON so they behave exactly
+ * like they do in the Redis store (no sockets, timers or Dates survive a save).
+ */
+
+const createMemoryStore = () => {
+  const collections = new Map(); // collection -> Map(id -> { json, expiresAt })
+  const locks = new Map(); // key -> tail of the promise chain
+
+  const collection = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  const isExpired = (item) => item.expiresAt !== null && item.expiresAt <= Date.now();
+
+  const get = async (name, id) => {
+    const items = collection(name);
+    const item = items.get(id);
+    if (!item) return null;
+    if (isExpired(item)) {
+      items.delete(id);
+      return null;
+    }
+    return JSON.parse(item.json);
+  };
+
+  const set = async (name, id, value, { ttlMs = null } = {}) => {
+    collection(name).set(id, {
+      json: JSON.stringify(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null,
+    });
+  };
+
+  const remove = async (name, id) => {
+    return collection(name).delete(id);
+  };
+
+  const list = async (name) => {
+    const values = [];
+    for (const [id, item] of collection(name)) {
+      if (isExpired(item)) {
+        collection(name).delete(id);
+        continue;
+      }
+      values.push(JSON.parse(item.json));
+    }
+    return values;
+  };
+
+  // Callers for the same key run one at a time, in arrival order
+  const withLock = (key, fn) => {
+    const previous = locks.get(key) || Promise.resolve();
+    const run = previous.then(() => fn());
+    const tail = run.catch(() => {});
+    locks.set(key, tail);
+    tail.then(() => {
+      if (locks.get(key) === tail) locks.delete(key);
+    });
+    return run;
+  };
+
+  return {
+    type: "memory",
+    get,
+    set,
+    delete: remove,
+    list,
+    withLock,
+    close: async () => {},
+  };
+};
+
+module.exports = { createMemoryStore };
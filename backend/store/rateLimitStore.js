@@ -0,0 +1,137 @@
+// store/rateLimitStore.js
+
+/**
+ * Shared hit counters for the HTTP and socket rate limiters.
+ *
+ * RATE_LIMIT_STORE=memory|redis (defaults to STATE_STORE). With Redis every
+ * backend instance counts against the same limits; the memory store only
+ * sees this process.
+ *
+ * Both stores keep a sliding window log per key:
+ *   hit(key, windowMs, max) -> { allowed, count, waitMs }
+ * A hit is only recorded when it is allowed. `waitMs` is how long until the
+ * oldest hit leaves the window (so until the next hit would be allowed when
+ * the key is full). Keys expire one window after their last hit, so keys for
+ * one-off IPs and socket ids never pile up.
+ */
+
+const crypto = require("crypto");
+const { getRedisClient } = require("./redisClient");
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryRateLimitStore = () => {
+  const entries = new Map(); // key -> { times: [oldest..newest], expiresAt }
+
+  const sweep = (now = Date.now()) => {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  };
+  const sweeper = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  const hit = async (key, windowMs, max, now = Date.now()) => {
+    const entry = entries.get(key);
+    const times = entry && entry.expiresAt > now ? entry.times.filter(t => now - t < windowMs) : [];
+
+    const allowed = times.length < max;
+    if (allowed) times.push(now);
+    entries.set(key, { times, expiresAt: times[times.length - 1] + windowMs });
+
+    return { allowed, count: times.length, waitMs: Math.max(0, times[0] + windowMs - now) };
+  };
+
+  // Take back the newest hit (e.g. a request that shouldn't have counted)
+  const undo = async (key) => {
+    const entry = entries.get(key);
+    if (entry) entry.times.pop();
+  };
+
+  const reset = async (key) => {
+    entries.delete(key);
+  };
+
+  return {
+    type: "memory",
+    hit,
+    undo,
+    reset,
+    sweep,
+    size: () => entries.size,
+    close: async () => clearInterval(sweeper),
+  };
+};
+
+// Trim the window, then add the hit if there is room; returns { allowed, count, oldest }
+const HIT_SCRIPT = `
+redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", ARGV[1] - ARGV[2])
+local count = redis.call("ZCARD", KEYS[1])
+local allowed = 0
+if count < tonumber(ARGV[3]) then
+  redis.call("ZADD", KEYS[1], ARGV[1], ARGV[4])
+  count = count + 1
+  allowed = 1
+end
+redis.call("PEXPIRE", KEYS[1], ARGV[2])
+local oldest = redis.call("ZRANGE", KEYS[1], 0, 0, "WITHSCORES")
+return { allowed, count, oldest[2] or ARGV[1] }`;
+
+const createRedisRateLimitStore = (client, { prefix = "connect4:ratelimit:" } = {}) => {
+  const hit = async (key, windowMs, max, now = Date.now()) => {
+    // The random suffix keeps hits in the same millisecond apart
+    const member = `${now}:${crypto.randomBytes(4).toString("hex")}`;
+    const [allowed, count, oldest] = await client.eval(HIT_SCRIPT, {
+      keys: [prefix + key],
+      arguments: [String(now), String(windowMs), String(max), member],
+    });
+
+    return { allowed: allowed === 1, count, waitMs: Math.max(0, Number(oldest) + windowMs - now) };
+  };
+
+  const undo = async (key) => {
+    await client.zPopMax(prefix + key);
+  };
+
+  const reset = async (key) => {
+    await client.del(prefix + key);
+  };
+
+  return {
+    type: "redis",
+    hit,
+    undo,
+    reset,
+    close: async () => {}, // The connection is shared with the state store
+  };
+};
+
+const createRateLimitStore = async (type = process.env.RATE_LIMIT_STORE || process.env.STATE_STORE || "memory") => {
+  if (type === "redis") {
+    const client = await getRedisClient();
+    return createRedisRateLimitStore(client);
+  }
+  return createMemoryRateLimitStore();
+};
+
+// The limiters are created at require time, before the store is chosen,
+// so they look the store up on every hit.
+let activeStore = null;
+
+const getRateLimitStore = () => {
+  if (!activeStore) activeStore = createMemoryRateLimitStore();
+  return activeStore;
+};
+
+const setRateLimitStore = async (store) => {
+  if (activeStore && activeStore !== store) await activeStore.close();
+  activeStore = store;
+};
+
+module.exports = {
+  createMemoryRateLimitStore,
+  createRedisRateLimitStore,
+  createRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
+};
@@ -0,0 +1,28 @@
+// store/redisClient.js
+
+const { createClient } = require("redis");
+
+let client = null;
+let connecting = null;
+
+// One shared connection per process; call duplicate() for pub/sub
+const getRedisClient = async () => {
+  if (client?.isReady) return client;
+  if (connecting) return connecting;
+
+  client = createClient({ url: process.env.REDIS_URL || "redis://localhost:6379" });
+  client.on("error", (err) => console.error("❌ Redis error:", err.message));
+
+  connecting = client.connect()
+    .then(() => {
+      console.log("✅ Connected to Redis");
+      return client;
+    })
+    .finally(() => {
+      connecting = null;
+    });
+
+  return connecting;
+};
+
+module.exports = { getRedisClient };
@@ -0,0 +1,93 @@
+// store/redisStore.js
+
+/**
+ * Redis state store shared by every backend instance.
+ * Each value lives at `<prefix><collection>:<id>`; a set per collection
+ * indexes the ids so they can be listed. Locks use SET NX with an expiry,
+ * so a crashed instance can never hold one forever.
+ */
+
+const crypto = require("crypto");
+
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_WAIT_MS = 5 * 1000;
+const LOCK_RETRY_MS = 15;
+
+// Only delete the lock if we still own it
+const RELEASE_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createRedisStore = (client, { prefix = "connect4:" } = {}) => {
+  const valueKey = (name, id) => `${prefix}${name}:${id}`;
+  const indexKey = (name) => `${prefix}${name}`;
+
+  const get = async (name, id) => {
+    const json = await client.get(valueKey(name, id));
+    return json ? JSON.parse(json) : null;
+  };
+
+  const set = async (name, id, value, { ttlMs = null } = {}) => {
+    const options = ttlMs ? { PX: ttlMs } : undefined;
+    await client.multi()
+      .set(valueKey(name, id), JSON.stringify(value), options)
+      .sAdd(indexKey(name), id)
+      .exec();
+  };
+
+  const remove = async (name, id) => {
+    const [deleted] = await client.multi()
+      .del(valueKey(name, id))
+      .sRem(indexKey(name), id)
+      .exec();
+    return deleted > 0;
+  };
+
+  const list = async (name) => {
+    const ids = await client.sMembers(indexKey(name));
+    if (ids.length === 0) return [];
+
+    const values = await client.mGet(ids.map(id => valueKey(name, id)));
+
+    // 🧹 Values that expired leave their id behind in the index
+    const stale = ids.filter((id, i) => values[i] === null);
+    if (stale.length > 0) await client.sRem(indexKey(name), stale);
+
+    return values.filter(json => json !== null).map(json => JSON.parse(json));
+  };
+
+  const withLock = async (key, fn) => {
+    const lockKey = `${prefix}lock:${key}`;
+    const token = crypto.randomBytes(16).toString("hex");
+    const deadline = Date.now() + LOCK_WAIT_MS;
+
+    while (
+      (await client.set(lockKey, token, { NX: true, PX: LOCK_TTL_MS })) !== "OK"
+    ) {
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for lock "${key}"`);
+      await sleep(LOCK_RETRY_MS);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await client.eval(RELEASE_SCRIPT, { keys: [lockKey], arguments: [token] });
+    }
+  };
+
+  return {
+    type: "redis",
+    get,
+    set,
+    delete: remove,
+    list,
+    withLock,
+    close: () => client.quit(),
+  };
+};
+
+module.exports = { createRedisStore };
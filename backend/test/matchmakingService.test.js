@@ -0,0 +1,112 @@
+// test/matchmakingService.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createMatchmaker } = require("../services/matchmakingService");
+
+// Matchmaker on a fake clock that records every pairing and bot fallback
+const setup = (options = {}) => {
+  const clock = { now: 0 };
+  const matches = [];
+  const timeouts = [];
+  const matchmaker = createMatchmaker({
+    now: () => clock.now,
+    onMatch: (a, b) => matches.push([a.id, b.id]),
+    onTimeout: (entry) => timeouts.push(entry.id),
+    ...options,
+  });
+  return { clock, matches, timeouts, matchmaker };
+};
+
+test("the rating window widens the longer a player waits", async () => {
+  const { clock, matches, matchmaker } = setup();
+
+  await matchmaker.enqueue({ id: "alice", rating: 1500 });
+  await matchmaker.enqueue({ id: "bob", rating: 1700 });
+  assert.deepStrictEqual(matches, []); // 200 apart, the window starts at 100
+
+  clock.now = 3000;
+  await matchmaker.tick();
+  assert.deepStrictEqual(matches, []); // 100 + 25/s * 3s = 175
+
+  clock.now = 4000;
+  const [entry] = await matchmaker.entries();
+  assert.strictEqual(matchmaker.ratingWindow(entry), 200);
+  await matchmaker.tick();
+  assert.deepStrictEqual(matches, [["alice", "bob"]]);
+  assert.deepStrictEqual(await matchmaker.entries(), []);
+});
+
+test("the rating window stops at maxWindow", async () => {
+  const { clock, matchmaker } = setup();
+
+  await matchmaker.enqueue({ id: "alice", rating: 1500 });
+  clock.now = 60000;
+  const [entry] = await matchmaker.entries();
+  assert.strictEqual(matchmaker.ratingWindow(entry), 800);
+});
+
+test("the closest rating in the window is paired", async () => {
+  const { clock, matches, matchmaker } = setup({ initialWindow: 0, windowGrowthPerSecond: 100 });
+
+  await matchmaker.enqueue({ id: "alice", rating: 1500 });
+  await matchmaker.enqueue({ id: "bob", rating: 1700 });
+  await matchmaker.enqueue({ id: "carol", rating: 1560 });
+  assert.deepStrictEqual(matches, []);
+
+  // Alice's window (300) now covers both; Carol is closer
+  clock.now = 3000;
+  await matchmaker.tick();
+  assert.deepStrictEqual(matches, [["alice", "carol"]]);
+  assert.deepStrictEqual((await matchmaker.entries()).map(e => e.id), ["bob"]);
+});
+
+test("a player who waits too long falls back to the bot", async () => {
+  const { clock, matches, timeouts, matchmaker } = setup();
+
+  await matchmaker.enqueue({ id: "alice", rating: 1500 });
+  clock.now = 5000;
+  await matchmaker.enqueue({ id: "bob", rating: 2500 }); // Too far for anyone to pair
+
+  clock.now = 9999;
+  await matchmaker.tick();
+  assert.deepStrictEqual(timeouts, []);
+
+  clock.now = 10000;
+  const { expired } = await matchmaker.tick();
+  assert.deepStrictEqual(expired.map(e => e.id), ["alice"]);
+  assert.deepStrictEqual(timeouts, ["alice"]);
+  assert.strictEqual(await matchmaker.has("alice"), false);
+  assert.strictEqual(await matchmaker.has("bob"), true);
+
+  clock.now = 15000;
+  await matchmaker.tick();
+  assert.deepStrictEqual(timeouts, ["alice", "bob"]);
+  assert.deepStrictEqual(matches, []);
+});
+
+test("a failing callback doesn't drop the rest of the batch", async () => {
+  const started = [];
+  const { clock, timeouts, matchmaker } = setup({
+    onMatch: (a, b) => {
+      if (a.id === "alice") throw new Error("game store down");
+      started.push([a.id, b.id]);
+    },
+  });
+
+  // Two pairs that only fit once their windows have widened
+  await matchmaker.enqueue({ id: "alice", rating: 1000 });
+  await matchmaker.enqueue({ id: "bob", rating: 1150 });
+  await matchmaker.enqueue({ id: "carol", rating: 2000 });
+  await matchmaker.enqueue({ id: "dave", rating: 2150 });
+  await matchmaker.enqueue({ id: "erin", rating: 3000 });
+
+  clock.now = 2000;
+  const { matches } = await matchmaker.tick();
+  assert.strictEqual(matches.length, 2);
+  assert.deepStrictEqual(started, [["carol", "dave"]]);
+
+  clock.now = 10000;
+  await matchmaker.tick();
+  assert.deepStrictEqual(timeouts, ["erin"]);
+});
@@ -0,0 +1,24 @@
+// test/profanityFilter.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { isProfane, maskProfanity } = require("../utils/profanityFilter");
+
+test("words that merely contain or shorten a blocked word pass", () => {
+  for (const word of ["as", "pass", "class", "assassin", "Scunthorpe", "shitake", "cocktail", "bass"]) {
+    assert.strictEqual(isProfane(word), false, word);
+  }
+  assert.strictEqual(maskProfanity("as good as it gets"), "as good as it gets");
+  assert.strictEqual(maskProfanity("pass the class"), "pass the class");
+});
+
+test("blocked words are caught through case, substitutions and repeated letters", () => {
+  for (const word of ["ass", "ASS", "a$$", "@ss", "asssss", "sh1t", "fuuuck", "b1tch", "bullllshit", "5hit"]) {
+    assert.strictEqual(isProfane(word), true, word);
+  }
+});
+
+test("only the offending words are masked, keeping their first letter and length", () => {
+  assert.strictEqual(maskProfanity("well sh1t, you fuuuck"), "well s***, you f*****");
+  assert.strictEqual(maskProfanity("a$$ pass"), "a** pass");
+});
@@ -0,0 +1,181 @@
+// test/rules.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { getRules, resolveGameOptions } = require("../rules");
+const { recordPosition, REPETITION_LIMIT } = require("../rules/repetition");
+
+// Fresh game state for a variant, shaped like the stored game the rules work on
+const newGame = (input) => {
+  const { options, error } = resolveGameOptions(input);
+  assert.strictEqual(error, null);
+  const rules = getRules(options.variant);
+  return { rules, game: { board: rules.createBoard(options), options, variantState: rules.createVariantState(options) } };
+};
+
+// Board from strings, top row first: "X", "O" or "." per cell
+const boardFrom = (rows) => rows.map(row => row.split("").map(cell => (cell === "." ? null : cell)));
+
+test("classic drops stack up and a full column is refused", () => {
+  const { rules, game } = newGame({ variant: "classic", rows: 4, columns: 4, winLength: 4 });
+
+  assert.deepStrictEqual(rules.applyMove(game, "X", { type: "drop", column: 1 }), { type: "drop", column: 1, row: 3 });
+  assert.deepStrictEqual(rules.applyMove(game, "O", { type: "drop", column: 1 }), { type: "drop", column: 1, row: 2 });
+  rules.applyMove(game, "X", { type: "drop", column: 1 });
+  rules.applyMove(game, "O", { type: "drop", column: 1 });
+  assert.strictEqual(rules.applyMove(game, "X", { type: "drop", column: 1 }), null);
+  assert.strictEqual(rules.applyMove(game, "X", { type: "pop", column: 0 }), null);
+  assert.deepStrictEqual(rules.legalMoves(game, "X").map(m => m.column), [0, 2, 3]);
+});
+
+test("five-in-a-row starts with both edge columns filled", () => {
+  const { rules, game } = newGame({ variant: "five-in-a-row" });
+
+  assert.deepStrictEqual(game.options, { variant: "five-in-a-row", rows: 6, columns: 9, winLength: 5 });
+  assert.deepStrictEqual(game.board.map(row => row[0]), ["O", "X", "O", "X", "O", "X"]);
+  assert.deepStrictEqual(game.board.map(row => row[8]), ["X", "O", "X", "O", "X", "O"]);
+  assert.ok(game.board.every(row => row.slice(1, 8).every(cell => cell === null)));
+  assert.deepStrictEqual(rules.legalMoves(game, "X").map(m => m.column), [1, 2, 3, 4, 5, 6, 7]);
+  assert.strictEqual(rules.applyMove(game, "X", { type: "drop", column: 0 }), null);
+});
+
+test("five-in-a-row lines can run through the edge discs", () => {
+  const { rules, game } = newGame({ variant: "five-in-a-row" });
+
+  for (const column of [1, 2, 3]) {
+    const applied = rules.applyMove(game, "X", { type: "drop", column });
+    assert.strictEqual(rules.checkResult(game, "X", applied), null);
+  }
+  const applied = rules.applyMove(game, "X", { type: "drop", column: 4 });
+  const result = rules.checkResult(game, "X", applied);
+  assert.strictEqual(result.winner, "X");
+  assert.deepStrictEqual(result.winningPositions, [[5, 0], [5, 1], [5, 2], [5, 3], [5, 4]]);
+});
+
+test("PopOut pops your own bottom disc and shifts the column down", () => {
+  const { rules, game } = newGame({ variant: "popout", rows: 6, columns: 7, winLength: 4 });
+  game.board = boardFrom([
+    ".......",
+    ".......",
+    ".......",
+    ".......",
+    "O......",
+    "X......",
+  ]);
+
+  assert.strictEqual(rules.applyMove(game, "O", { type: "pop", column: 0 }), null); // Not O's disc
+  assert.strictEqual(rules.applyMove(game, "X", { type: "pop", column: 1 }), null); // Empty
+  assert.deepStrictEqual(rules.applyMove(game, "X", { type: "pop", column: 0 }), { type: "pop", column: 0, row: 5 });
+  assert.deepStrictEqual(game.board.map(row => row[0]), [null, null, null, null, null, "O"]);
+  assert.deepStrictEqual(rules.legalMoves(game, "O").filter(m => m.type === "pop"), [{ type: "pop", column: 0 }]);
+});
+
+test("PopOut gives the win to the mover when a pop completes lines for both", () => {
+  const { rules, game } = newGame({ variant: "popout", rows: 6, columns: 7, winLength: 4 });
+  game.board = boardFrom([
+    "...X...",
+    "...X...",
+    "...X...",
+    "...X...",
+    "...O...",
+    "OOOX...",
+  ]);
+
+  const applied = rules.applyMove(game, "X", { type: "pop", column: 3 });
+  const result = rules.checkResult(game, "X", applied);
+  assert.strictEqual(result.winner, "X"); // O got four along the bottom too
+});
+
+test("PopOut hands the win to the opponent when a pop only completes their line", () => {
+  const { rules, game } = newGame({ variant: "popout", rows: 6, columns: 7, winLength: 4 });
+  game.board = boardFrom([
+    ".......",
+    ".......",
+    ".......",
+    ".......",
+    "...O...",
+    "OOOX...",
+  ]);
+
+  const applied = rules.applyMove(game, "X", { type: "pop", column: 3 });
+  assert.strictEqual(rules.checkResult(game, "X", applied).winner, "O");
+});
+
+test("PopOut doesn't end on a full board, only when the position repeats", () => {
+  const { rules, game } = newGame({ variant: "popout", rows: 4, columns: 4, winLength: 4 });
+  game.board = boardFrom(["XXOO", "OOXX", "XXOO", "OOXX"]);
+
+  for (let seen = 1; seen < REPETITION_LIMIT; seen++) assert.strictEqual(rules.checkResult(game, "X"), null);
+  assert.deepStrictEqual(rules.checkResult(game, "X"), { isDraw: true, reason: "repetition" });
+});
+
+test("a position counts as repeated only with the same player to move", () => {
+  const game = { board: boardFrom(["..", "XO"]), variantState: { positions: {} } };
+
+  assert.strictEqual(recordPosition(game, "X"), false);
+  assert.strictEqual(recordPosition(game, "O"), false);
+  assert.strictEqual(recordPosition(game, "X"), false);
+  assert.strictEqual(recordPosition(game, "O"), false);
+  assert.strictEqual(recordPosition(game, "X"), true);
+});
+
+test("Pop 10 setup fills the board row by row, then switches to popping", () => {
+  const { rules, game } = newGame({ variant: "pop10" });
+
+  assert.ok(rules.applyMove(game, "X", { type: "drop", column: 0 }));
+  assert.deepStrictEqual(rules.legalMoves(game, "O").map(m => m.column), [1, 2, 3, 4, 5, 6]);
+  assert.strictEqual(rules.applyMove(game, "O", { type: "drop", column: 0 }), null); // Bottom row isn't full yet
+
+  let symbol = "O";
+  while (game.variantState.phase === "setup") {
+    const [move] = rules.legalMoves(game, symbol);
+    const applied = rules.applyMove(game, symbol, move);
+    assert.strictEqual(rules.checkResult(game, symbol, applied), null); // Lines don't count during setup
+    symbol = rules.nextSymbol(game, symbol, applied);
+  }
+  assert.ok(game.board.every(row => row.every(Boolean)));
+  assert.ok(rules.legalMoves(game, symbol).every(m => m.type === "pop"));
+});
+
+test("Pop 10 keeps a disc from a line and grants another turn, otherwise returns it on top", () => {
+  const { rules, game } = newGame({ variant: "pop10" });
+  game.variantState.phase = "pop";
+  game.board = boardFrom([
+    "XXOOXXO",
+    "OOXXOOX",
+    "XXOOXXO",
+    "OOXXOOX",
+    "XXOOXXO",
+    "XXXXOOO",
+  ]);
+
+  const kept = rules.applyMove(game, "X", { type: "pop", column: 0 });
+  assert.strictEqual(kept.kept, true);
+  assert.deepStrictEqual(game.variantState.captured, { X: 1, O: 0 });
+  assert.strictEqual(game.board[0][0], null);
+  assert.strictEqual(rules.checkResult(game, "X", kept), null);
+  assert.strictEqual(rules.nextSymbol(game, "X", kept), "X");
+
+  const returned = rules.applyMove(game, "O", { type: "pop", column: 6 });
+  assert.strictEqual(returned.kept, false);
+  assert.strictEqual(returned.returnedRow, 0);
+  assert.strictEqual(game.board[0][6], "O");
+  assert.deepStrictEqual(game.variantState.captured, { X: 1, O: 0 });
+  assert.strictEqual(rules.nextSymbol(game, "O", returned), "X");
+});
+
+test("Pop 10 is won by the tenth kept disc", () => {
+  const { rules, game } = newGame({ variant: "pop10" });
+  game.variantState = { phase: "pop", captured: { X: 9, O: 0 }, positions: {} };
+  game.board = boardFrom([
+    "XXOOXXO",
+    "OOXXOOX",
+    "XXOOXXO",
+    "OOXXOOX",
+    "XXOOXXO",
+    "XXXXOOO",
+  ]);
+
+  const applied = rules.applyMove(game, "X", { type: "pop", column: 1 });
+  assert.deepStrictEqual(rules.checkResult(game, "X", applied), { winner: "X", reason: "pop_ten" });
+});
@@ -0,0 +1,79 @@
+// test/search.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { findBestMove } = require("../bot/search");
+
+// Board from strings, top row first: "X", "O" or "." per cell
+const boardFrom = (rows) => rows.map(row => row.split("").map(cell => (cell === "." ? null : cell)));
+
+const search = (board, maxDepth = 6) =>
+  findBestMove(board, { symbol: "O", opponentSymbol: "X", maxDepth, timeLimitMs: 2000, winLength: 4 });
+
+test("the bot completes its own four", () => {
+  const board = boardFrom([
+    ".......",
+    ".......",
+    ".......",
+    "...O...",
+    "...O..X",
+    "...O.XX",
+  ]);
+
+  assert.strictEqual(search(board).column, 3);
+});
+
+test("the bot takes its win rather than blocking", () => {
+  const board = boardFrom([
+    ".......",
+    ".......",
+    ".......",
+    ".......",
+    ".......",
+    "OOO.XXX",
+  ]);
+
+  assert.strictEqual(search(board).column, 3);
+});
+
+test("the bot blocks the opponent's winning column", () => {
+  const board = boardFrom([
+    ".......",
+    ".......",
+    ".......",
+    ".......",
+    "......O",
+    "OXXX..O",
+  ]);
+
+  assert.strictEqual(search(board).column, 4);
+});
+
+test("the bot blocks a vertical threat", () => {
+  const board = boardFrom([
+    ".......",
+    ".......",
+    ".......",
+    "X......",
+    "X......",
+    "X....OO",
+  ]);
+
+  assert.strictEqual(search(board).column, 0);
+});
+
+test("the bot finds a forced win through a double threat", () => {
+  const board = boardFrom([
+    ".......",
+    ".......",
+    ".......",
+    ".......",
+    "X.....X",
+    "X.OO..X",
+  ]);
+
+  // Column 4 leaves O three in a row with both ends open
+  const { column, score } = search(board, 8);
+  assert.strictEqual(column, 4);
+  assert.ok(score > 100000, `score ${score}`);
+});
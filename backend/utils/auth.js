@@ -0,0 +1,60 @@
+/**
+ * Authentication middleware for REST routes and Socket.IO connections
+ */
+
+const { verifyToken } = require("../services/authService");
+
+const bearerToken = (header) => {
+  if (typeof header !== "string") return null;
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" ? token : null;
+};
+
+// Express middleware: rejects requests without a valid Bearer token
+const requireAuth = (req, res, next) => {
+  const user = verifyToken(bearerToken(req.headers.authorization));
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: "A valid login token is required.",
+      timestamp: new Date().toISOString(),
+    });
+  }
+  req.user = user;
+  next();
+};
+
+/**
+ * Socket.io handshake middleware
+ * Sockets without a token connect as guests (they can browse and spectate);
+ * a token that is present but invalid is rejected so the client can log in again.
+ */
+const socketAuth = (socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) {
+    socket.user = null;
+    return next();
+  }
+
+  const user = verifyToken(token);
+  if (!user) {
+    const err = new Error("Invalid or expired login token");
+    err.data = {
+      code: 401,
+      error: "UNAUTHORIZED",
+      message: "Your session has expired. Please log in again.",
+      timestamp: new Date().toISOString(),
+      source: "socket-auth",
+    };
+    return next(err);
+  }
+
+  socket.user = user;
+  socket.username = user.username;
+  next();
+};
+
+module.exports = {
+  requireAuth,
+  socketAuth,
+};
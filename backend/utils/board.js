@@ -0,0 +1,41 @@
+// utils/board.js
+
+const { DEFAULT_GAME_OPTIONS } = require("./gameOptions");
+
+const createEmptyBoard = ({ rows, columns } = DEFAULT_GAME_OPTIONS) => {
+  return Array.from({ length: rows }, () => Array(columns).fill(null));
+};
+
+const dropDisc = (board, column, symbol) => {
+  if (!Number.isInteger(column) || column < 0 || column >= board[0].length) return -1;
+
+  for (let row = board.length - 1; row >= 0; row--) {
+    if (!board[row][column]) {
+      board[row][column] = symbol;
+      return row;
+    }
+  }
+  return -1; // Column full
+};
+
+// Remove the bottom disc of `column` and let the rest fall one row (PopOut, Pop 10)
+const popDisc = (board, column) => {
+  const bottom = board.length - 1;
+  const disc = board[bottom][column];
+  for (let row = bottom; row > 0; row--) {
+    board[row][column] = board[row - 1][column];
+  }
+  board[0][column] = null;
+  return disc;
+};
+
+const isBoardFull = (board) => {
+  return board.every(row => row.every(cell => cell));
+};
+
+module.exports = {
+  createEmptyBoard,
+  dropDisc,
+  popDisc,
+  isBoardFull,
+};
@@ -1,8 +1,8 @@
 // utils/checkWinner.js
 
-module.exports = function checkWinner(board, symbol) {
-  const ROWS = 6;
-  const COLS = 7;
+module.exports = function checkWinner(board, symbol, winLength = 4) {
+  const ROWS = board.length;
+  const COLS = board[0].length;
 
   const directions = [
     [0, 1],  // Horizontal
@@ -30,7 +30,7 @@ module.exports = function checkWinner(board, symbol) {
         ) {
           count++;
           winningPositions.push([nr, nc]);
-          if (count === 4) {
+          if (count === winLength) {
             return { isWinner: true, winningPositions };
           }
           nr += dr;
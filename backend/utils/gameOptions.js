@@ -0,0 +1,47 @@
+// utils/gameOptions.js
+
+/**
+ * Board size and win length for a game, e.g. classic 6x7 connect-4,
+ * 7x8 or connect-5. Options come from clients, so every field is checked
+ * against GAME_OPTION_LIMITS before a game is created.
+ */
+
+const DEFAULT_GAME_OPTIONS = { rows: 6, columns: 7, winLength: 4 };
+
+const GAME_OPTION_LIMITS = {
+  rows: { min: 4, max: 10 },
+  columns: { min: 4, max: 12 },
+  winLength: { min: 3, max: 6 },
+};
+
+/**
+ * Check client-supplied options; missing fields fall back to the classic board.
+ * @returns {{ options: Object|null, error: string|null }}
+ */
+const validateGameOptions = (input) => {
+  const options = { ...DEFAULT_GAME_OPTIONS };
+  if (input === undefined || input === null) return { options, error: null };
+  if (typeof input !== "object") return { options: null, error: "Game options must be an object." };
+
+  for (const [field, { min, max }] of Object.entries(GAME_OPTION_LIMITS)) {
+    if (input[field] === undefined) continue;
+
+    const value = Number(input[field]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { options: null, error: `${field} must be a whole number from ${min} to ${max}.` };
+    }
+    options[field] = value;
+  }
+
+  if (options.winLength > Math.max(options.rows, options.columns)) {
+    return { options: null, error: "winLength does not fit on this board." };
+  }
+
+  return { options, error: null };
+};
+
+module.exports = {
+  DEFAULT_GAME_OPTIONS,
+  GAME_OPTION_LIMITS,
+  validateGameOptions,
+};
@@ -0,0 +1,25 @@
+// utils/inviteCode.js
+
+const crypto = require("crypto");
+
+// No 0/O or 1/I so codes can be read out loud
+const ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+
+const generateInviteCode = (isTaken = () => false) => {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(CODE_LENGTH), byte => ALPHABET[byte % ALPHABET.length]).join("");
+  } while (isTaken(code));
+  return code;
+};
+
+// Invite codes are case-insensitive when typed in
+const normalizeInviteCode = (code) => {
+  return typeof code === "string" ? code.trim().toUpperCase() : "";
+};
+
+module.exports = {
+  generateInviteCode,
+  normalizeInviteCode,
+};
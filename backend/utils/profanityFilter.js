@@ -0,0 +1,46 @@
+// utils/profanityFilter.js
+
+/**
+ * Masks offensive words in chat messages. Matching ignores case, common
+ * letter substitutions (a→@/4, e→3, i→1, o→0, s→$/5) and repeated letters,
+ * but only whole words, so "class" or "Scunthorpe" pass untouched.
+ */
+
+const PROFANITY = [
+  "arse", "arsehole", "ass", "asshole", "bastard", "bitch", "bollocks", "bullshit",
+  "crap", "cunt", "dick", "dickhead", "fag", "faggot", "fuck", "fucker", "fucking",
+  "motherfucker", "nigga", "nigger", "piss", "prick", "pussy", "retard", "shit",
+  "shitty", "slut", "twat", "wanker", "whore",
+];
+
+const SUBSTITUTIONS = { "@": "a", "4": "a", "3": "e", "1": "i", "0": "o", "$": "s", "5": "s" };
+
+// Lowercase, with the look-alike characters read as the letters they stand for
+const substitute = (word) =>
+  word
+    .toLowerCase()
+    .split("")
+    .map(ch => SUBSTITUTIONS[ch] || ch)
+    .join("");
+
+const BLOCKED = new Set(PROFANITY);
+
+// Words are runs of letters plus the substitution characters
+const WORD_PATTERN = /[\p{L}@4310$5]+/gu;
+
+// Repeats are only squeezed out of the message, never the list, so "as" stays clear of "ass".
+// "fuuuck" matches once runs are cut to one letter, "asssss" once they are cut to two.
+const isProfane = (word) => {
+  const normalized = substitute(word);
+  return [normalized, normalized.replace(/(.)\1{2,}/g, "$1$1"), normalized.replace(/(.)\1+/g, "$1")]
+    .some(form => BLOCKED.has(form));
+};
+
+const maskProfanity = (text) =>
+  text.replace(WORD_PATTERN, word => (isProfane(word) ? word[0] + "*".repeat(word.length - 1) : word));
+
+module.exports = {
+  PROFANITY,
+  isProfane,
+  maskProfanity,
+};
@@ -4,6 +4,7 @@
  */
 
 const rateLimit = require('express-rate-limit');
+const { getRateLimitStore } = require('../store/rateLimitStore');
 
 // Common message generator for rate limit responses
 const createLimitMessage = (windowMins, retryAfter) => ({
@@ -26,11 +27,41 @@ const successHandler = (req, res, next, options) => {
   next();
 };
 
+/**
+ * express-rate-limit store backed by the shared rate limit store, so every
+ * instance counts against the same limits when Redis is configured.
+ * Each limiter needs its own prefix (and its own instance).
+ */
+const sharedStore = (prefix) => {
+  let windowMs;
+  let limit;
+
+  return {
+    prefix,
+    localKeys: false,
+    init(options) {
+      windowMs = options.windowMs;
+      limit = options.limit ?? options.max;
+    },
+    async increment(key) {
+      const { allowed, count, waitMs } = await getRateLimitStore().hit(prefix + key, windowMs, limit);
+      return {
+        totalHits: allowed ? count : limit + 1, // Refused hits aren't recorded
+        resetTime: new Date(Date.now() + waitMs),
+      };
+    },
+    decrement: (key) => getRateLimitStore().undo(prefix + key),
+    resetKey: (key) => getRateLimitStore().reset(prefix + key),
+  };
+};
+
 // Standard API limiter for most routes
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minute window
   max: 100, // 100 requests per window per IP
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+  store: sharedStore('http:api:'),
+  passOnStoreError: true, // A Redis outage shouldn't take the API down
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
   message: createLimitMessage(15),
   skipSuccessHandler: false, // Enable success handler for this limiter
@@ -67,6 +98,8 @@ const healthLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute window
   max: 30, // 30 requests per minute per IP
   standardHeaders: true,
+  store: sharedStore('http:health:'),
+  passOnStoreError: true,
   legacyHeaders: false,
   message: createLimitMessage(1),
   keyGenerator: (req) => {
@@ -88,6 +121,8 @@ const strictLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour window
   max: 5, // 5 requests per hour per IP
   standardHeaders: true,
+  store: sharedStore('http:strict:'),
+  passOnStoreError: true,
   legacyHeaders: false,
   message: createLimitMessage(60, 60), // 60 minutes retry
   handler: (req, res, next, options) => {
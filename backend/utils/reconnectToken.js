@@ -0,0 +1,20 @@
+// utils/reconnectToken.js
+
+const crypto = require("crypto");
+
+// One secret per seat; whoever holds it may take the seat back after a disconnect
+const generateReconnectToken = () => crypto.randomBytes(24).toString("hex");
+
+// Constant-time comparison so the token can't be guessed byte by byte
+const tokensMatch = (expected, received) => {
+  if (typeof expected !== "string" || typeof received !== "string") return false;
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+module.exports = {
+  generateReconnectToken,
+  tokensMatch,
+};
@@ -1,210 +1,178 @@
 /**
  * Socket.io rate limiting middleware
- * Limits the number of socket connections and events per client
+ * Limits new connections per IP, and events per socket and per account.
+ *
+ * Event limits are keyed by the real event name (`makeMove`, `sendMessage`, ...);
+ * events without their own entry use `default`. Each rule allows `perSocket`
+ * and `perUser` events inside a sliding window of `windowMs` (either limit can
+ * be null to turn it off). Guests only have the per-socket limit.
+ *
+ * The defaults below can be overridden with SOCKET_RATE_LIMITS (inline JSON)
+ * or SOCKET_RATE_LIMITS_FILE (path to a JSON file) using the same shape;
+ * only the keys given are replaced.
+ *
+ * Hits are counted in the shared rate limit store (store/rateLimitStore.js),
+ * so with Redis the limits hold across every backend instance.
  */
 
-// Maps to track client connections and events
-const connectionLimiter = new Map();
-const eventLimiter = new Map();
+const fs = require("fs");
+const { getRateLimitStore } = require("../store/rateLimitStore");
 
-// Configuration
-const SOCKET_LIMIT_CONFIG = {
+const DEFAULT_SOCKET_LIMITS = {
   connections: {
     windowMs: 60 * 1000, // 1 minute
     max: 10, // 10 connections per minute per IP
   },
   events: {
-    windowMs: 10 * 1000, // 10 seconds
-    max: 50, // 50 events per 10 seconds per socket
-    // Event-specific limits
-    byType: {
-      // Game moves should be more limited to prevent spam
-      'make_move': {
-        windowMs: 5 * 1000, // 5 seconds
-        max: 10, // 10 move events per 5 seconds
-      },
-      // Chat messages should be rate limited to prevent spam
-      'send_message': {
-        windowMs: 5 * 1000, // 5 seconds
-        max: 5, // 5 messages per 5 seconds
-      },
-      // Default for all other events
-      'default': {
-        windowMs: 10 * 1000, 
-        max: 50
-      }
-    }
+    // Moves arrive at most once per turn; anything faster is a script
+    makeMove: { windowMs: 5 * 1000, perSocket: 10, perUser: 15 },
+    // Chat is the easiest thing to spam
+    sendMessage: { windowMs: 5 * 1000, perSocket: 5, perUser: 8 },
+    // Starting games touches the queue, rooms and the database
+    joinGame: { windowMs: 10 * 1000, perSocket: 5, perUser: 10 },
+    startBotGame: { windowMs: 10 * 1000, perSocket: 3, perUser: 5 },
+    createRoom: { windowMs: 10 * 1000, perSocket: 3, perUser: 5 },
+    // Default for all other events
+    default: { windowMs: 10 * 1000, perSocket: 50, perUser: 100 },
+  },
+};
+
+const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+
+const validRule = (rule) =>
+  typeof rule === "object" && rule !== null &&
+  isPositiveInt(rule.windowMs) &&
+  ["perSocket", "perUser"].every(key => rule[key] === undefined || rule[key] === null || isPositiveInt(rule[key]));
+
+const readOverrides = (env) => {
+  if (env.SOCKET_RATE_LIMITS) return JSON.parse(env.SOCKET_RATE_LIMITS);
+  if (env.SOCKET_RATE_LIMITS_FILE) return JSON.parse(fs.readFileSync(env.SOCKET_RATE_LIMITS_FILE, "utf8"));
+  return {};
+};
+
+/**
+ * Defaults merged with the configured overrides. Invalid rules are skipped
+ * (with a warning) so a typo never turns limiting off.
+ */
+const loadSocketLimitConfig = (env = process.env) => {
+  let overrides;
+  try {
+    overrides = readOverrides(env);
+  } catch (err) {
+    console.warn("⚠️ Ignoring socket rate limit config:", err.message);
+    overrides = {};
   }
+
+  const config = {
+    connections: { ...DEFAULT_SOCKET_LIMITS.connections },
+    events: { ...DEFAULT_SOCKET_LIMITS.events },
+  };
+
+  const { connections, events = {} } = overrides;
+  if (connections !== undefined) {
+    if (validRule(connections) && isPositiveInt(connections.max)) config.connections = connections;
+    else console.warn("⚠️ Ignoring invalid socket connection limit");
+  }
+
+  for (const [event, rule] of Object.entries(events)) {
+    if (validRule(rule)) config.events[event] = { perSocket: null, perUser: null, ...rule };
+    else console.warn(`⚠️ Ignoring invalid socket rate limit for "${event}"`);
+  }
+
+  return config;
 };
 
+const SOCKET_LIMIT_CONFIG = loadSocketLimitConfig();
+
+// A store outage lets traffic through rather than locking everyone out
+const hit = async (key, windowMs, max) => {
+  try {
+    return await getRateLimitStore().hit(key, windowMs, max);
+  } catch (err) {
+    console.error("❌ Rate limit store failed:", err.message);
+    return { allowed: true, count: 0, waitMs: 0 };
+  }
+};
+
+// Unlisted events share the default budget, so rotating made-up names can't buy fresh ones
+const ruleNameFor = (event) =>
+  typeof event === "string" && Object.hasOwn(SOCKET_LIMIT_CONFIG.events, event) ? event : "default";
+
 /**
  * Socket connection rate limiting middleware
  * Limits number of new connections per IP address
  */
-const socketConnectionLimiter = (socket, next) => {
+const socketConnectionLimiter = async (socket, next) => {
   const clientIp = socket.handshake.headers['x-forwarded-for'] || socket.handshake.address;
-  
-  if (!connectionLimiter.has(clientIp)) {
-    connectionLimiter.set(clientIp, {
-      connections: 1,
-      timestamp: Date.now()
-    });
-    return next();
-  }
-  
-  const clientData = connectionLimiter.get(clientIp);
-  const currentTime = Date.now();
-  
-  // Reset counter after window expires
-  if (currentTime - clientData.timestamp > SOCKET_LIMIT_CONFIG.connections.windowMs) {
-    connectionLimiter.set(clientIp, {
-      connections: 1,
-      timestamp: currentTime
-    });
-    return next();
-  }
-  
-  // Check if limit is exceeded
-  if (clientData.connections >= SOCKET_LIMIT_CONFIG.connections.max) {
-    console.log(`⚠️ Socket connection rate limit exceeded for ${clientIp}`);
-    const err = new Error('Too many connection attempts, please try again later');
-    err.data = { 
-      code: 429,
-      error: 'RATE_LIMITED',
-      retryAfter: Math.ceil(SOCKET_LIMIT_CONFIG.connections.windowMs / 1000),
-      timestamp: new Date().toISOString(),
-      message: 'Too many connection attempts, please try again later',
-      source: 'socket-connection'
-    };
-    return next(err);
-  }
-  
-  // Increment connection counter
-  clientData.connections++;
-  connectionLimiter.set(clientIp, clientData);
-  next();
+  const { windowMs, max } = SOCKET_LIMIT_CONFIG.connections;
+
+  const { allowed, waitMs } = await hit(`socket-connection:${clientIp}`, windowMs, max);
+  if (allowed) return next();
+
+  console.log(`⚠️ Socket connection rate limit exceeded for ${clientIp}`);
+  const err = new Error('Too many connection attempts, please try again later');
+  err.data = {
+    code: 429,
+    error: 'RATE_LIMITED',
+    retryAfter: Math.ceil(waitMs / 1000),
+    timestamp: new Date().toISOString(),
+    message: 'Too many connection attempts, please try again later',
+    source: 'socket-connection'
+  };
+  next(err);
 };
 
 /**
  * Socket event rate limiting middleware
- * Limits number of events per socket connection
+ * Events over a limit are dropped and answered with `rateLimited`
+ * ({ event, scope, limit, windowSeconds, retryAfter, message }), at most once per wait.
  */
 const socketEventLimiter = (socket) => {
-  const socketId = socket.id;
-  
-  // Initialize event tracker for this socket
-  eventLimiter.set(socketId, {
-    events: {
-      total: 0,
-      byType: {}
-    },
-    timestamp: Date.now(),
-    isLimited: false,
-    typeTimestamps: {}
-  });
-  
-  // Check event rate before processing each event
-  socket.onAny((event, ...args) => {
-    // Skip internal events
-    if (event.startsWith('connect') || event.startsWith('disconnect')) {
-      return;
-    }
-    
-    const eventData = eventLimiter.get(socketId);
-    if (!eventData) return; // Socket not being tracked
-    
-    const currentTime = Date.now();
-    
-    // Get event-specific limits if they exist, otherwise use defaults
-    const eventTypeConfig = SOCKET_LIMIT_CONFIG.events.byType[event] || 
-                           SOCKET_LIMIT_CONFIG.events.byType.default;
-    const windowMs = eventTypeConfig.windowMs;
-    const maxEvents = eventTypeConfig.max;
-    
-    // Initialize event type counter if needed
-    if (!eventData.events.byType[event]) {
-      eventData.events.byType[event] = 0;
-      eventData.typeTimestamps[event] = currentTime;
-    }
-    
-    // Reset counter for this event type if window expired
-    if (currentTime - eventData.typeTimestamps[event] > windowMs) {
-      eventData.events.byType[event] = 1;
-      eventData.typeTimestamps[event] = currentTime;
-      // Update tracker
-      eventLimiter.set(socketId, eventData);
-      return;
-    }
-    
-    // Reset global counter if window expired
-    if (currentTime - eventData.timestamp > SOCKET_LIMIT_CONFIG.events.windowMs) {
-      eventData.events.total = 1;
-      eventData.timestamp = currentTime;
-      eventData.isLimited = false;
-      // Keep event type counters
-      eventLimiter.set(socketId, eventData);
-      return;
+  const notifiedUntil = new Map(); // rule name -> time until which the client already knows
+
+  socket.use(async ([event], next) => {
+    const ruleName = ruleNameFor(event);
+    const rule = SOCKET_LIMIT_CONFIG.events[ruleName];
+    const username = socket.user ? socket.user.username : null;
+
+    // The socket's own budget is spent first, so a blocked event never uses the account's
+    let scope = "socket";
+    let limit = rule.perSocket;
+    let result = limit ? await hit(`socket-event:${socket.id}:${ruleName}`, rule.windowMs, limit) : { allowed: true };
+
+    if (result.allowed && username && rule.perUser) {
+      scope = "user";
+      limit = rule.perUser;
+      result = await hit(`user-event:${username}:${ruleName}`, rule.windowMs, limit);
     }
-    
-    // Check if event-specific limit is exceeded
-    if (eventData.events.byType[event] >= maxEvents) {
-      if (!eventData.isLimited) {
-        console.log(`⚠️ Socket event rate limit exceeded for socket ${socketId} on event "${event}"`);
-        // Emit rate limit event that the frontend is listening for
-        socket.emit('rate_limit_exceeded', { 
-          code: 429, 
-          error: 'RATE_LIMITED',
-          message: `Too many "${event}" events, please slow down`,
-          retryAfter: Math.ceil(windowMs / 1000),
-          timestamp: new Date().toISOString(),
-          isRateLimited: true,
-          source: 'socket-events',
-          eventType: event,
-          limit: maxEvents,
-          windowSeconds: windowMs / 1000
-        });
-        
-        // Mark as limited to avoid spamming error messages
-        eventData.isLimited = true;
-        eventLimiter.set(socketId, eventData);
-      }
-      
-      // Drop the event
-      return false;
+
+    if (result.allowed) return next();
+
+    const now = Date.now();
+    const { waitMs } = result;
+
+    if ((notifiedUntil.get(ruleName) || 0) <= now) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      console.log(`⚠️ Socket event rate limit exceeded (${scope}) for ${username || socket.id} on "${event}"`);
+      socket.emit('rateLimited', {
+        event,
+        scope,
+        limit,
+        windowSeconds: rule.windowMs / 1000,
+        retryAfter,
+        message: `Too many "${event}" events, please wait ${retryAfter}s`,
+        timestamp: new Date().toISOString(),
+      });
+      notifiedUntil.set(ruleName, now + waitMs);
     }
-    
-    // Increment event counters
-    eventData.events.total++;
-    eventData.events.byType[event]++;
-    eventLimiter.set(socketId, eventData);
-  });
-  
-  // Clean up on disconnect
-  socket.on('disconnect', () => {
-    eventLimiter.delete(socketId);
+    // Dropped: next() is never called, so no handler sees the event
   });
 };
 
-// Clean up expired entries periodically
-setInterval(() => {
-  const now = Date.now();
-  
-  // Clean up connection limiter
-  for (const [ip, data] of connectionLimiter.entries()) {
-    if (now - data.timestamp > SOCKET_LIMIT_CONFIG.connections.windowMs * 2) {
-      connectionLimiter.delete(ip);
-    }
-  }
-  
-  // Clean up event limiter
-  for (const [socketId, data] of eventLimiter.entries()) {
-    if (now - data.timestamp > SOCKET_LIMIT_CONFIG.events.windowMs * 2) {
-      eventLimiter.delete(socketId);
-    }
-  }
-}, 60000); // Run cleanup every minute
-
 module.exports = {
+  DEFAULT_SOCKET_LIMITS,
+  SOCKET_LIMIT_CONFIG,
+  loadSocketLimitConfig,
   socketConnectionLimiter,
   socketEventLimiter
 };
@@ -0,0 +1,17 @@
+// utils/stateHash.js
+
+const crypto = require("crypto");
+
+/**
+ * Short fingerprint of everything a client renders for a game: board, whose
+ * turn it is, how many moves were played and any variant state. Clients
+ * compare consecutive hashes to notice missed updates.
+ */
+const hashGameState = ({ board, turn, moveNumber, variantState }) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ board, turn, moveNumber, variantState }))
+    .digest("hex")
+    .slice(0, 16);
+
+module.exports = { hashGameState };
@@ -0,0 +1,84 @@
+// utils/timeControl.js
+
+/**
+ * Time controls and the per-game chess-style clock.
+ *
+ * A time control gives each player a bank of `initialMs`; `incrementMs` is
+ * added after every move. With `perMove` the bank is refilled at the start of
+ * each turn instead, so `initialMs` is simply the time allowed for one move.
+ * Clocks are keyed by username so they survive a player rejoining on a new socket.
+ */
+
+const TIME_CONTROLS = {
+  "move-30s": { id: "move-30s", label: "30s per move", initialMs: 30 * 1000, incrementMs: 0, perMove: true },
+  "blitz-3+2": { id: "blitz-3+2", label: "3 min + 2s", initialMs: 3 * 60 * 1000, incrementMs: 2000, perMove: false },
+  "rapid-10+5": { id: "rapid-10+5", label: "10 min + 5s", initialMs: 10 * 60 * 1000, incrementMs: 5000, perMove: false },
+};
+
+const DEFAULT_TIME_CONTROL = "move-30s";
+
+const normalizeTimeControl = (id) => {
+  return TIME_CONTROLS[id] ? id : DEFAULT_TIME_CONTROL;
+};
+
+const createClock = (timeControlId, usernames) => {
+  const timeControl = TIME_CONTROLS[normalizeTimeControl(timeControlId)];
+  return {
+    timeControl,
+    remaining: Object.fromEntries(usernames.map(u => [u, timeControl.initialMs])),
+    running: null, // username whose time is ticking
+    turnStartedAt: null,
+  };
+};
+
+// Time left for `username` right now, counting the turn in progress
+const timeLeft = (clock, username, now = Date.now()) => {
+  const banked = clock.remaining[username];
+  if (clock.running !== username) return banked;
+  return Math.max(0, banked - (now - clock.turnStartedAt));
+};
+
+const startTurn = (clock, username, now = Date.now()) => {
+  if (clock.timeControl.perMove) clock.remaining[username] = clock.timeControl.initialMs;
+  clock.running = username;
+  clock.turnStartedAt = now;
+  return clock.remaining[username];
+};
+
+// Bank the running player's time and pause the clock
+const stopClock = (clock, now = Date.now()) => {
+  if (clock.running) clock.remaining[clock.running] = timeLeft(clock, clock.running, now);
+  clock.running = null;
+  clock.turnStartedAt = null;
+};
+
+/**
+ * Stop the running player's clock after they move and add the increment.
+ * @returns {boolean} false if their time had already run out
+ */
+const finishTurn = (clock, username, now = Date.now()) => {
+  stopClock(clock, now);
+  if (clock.remaining[username] <= 0) return false;
+
+  clock.remaining[username] += clock.timeControl.incrementMs;
+  return true;
+};
+
+// What clients need to draw both clocks; the running one counts down from `running`
+const clockState = (clock, now = Date.now()) => ({
+  timeControl: clock.timeControl.id,
+  remaining: Object.fromEntries(Object.keys(clock.remaining).map(u => [u, timeLeft(clock, u, now)])),
+  running: clock.running,
+});
+
+module.exports = {
+  TIME_CONTROLS,
+  DEFAULT_TIME_CONTROL,
+  normalizeTimeControl,
+  createClock,
+  timeLeft,
+  startTurn,
+  stopClock,
+  finishTurn,
+  clockState,
+};
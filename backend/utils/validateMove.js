@@ -0,0 +1,39 @@
+// utils/validateMove.js
+
+// Shape checks for makeMove payloads; whether the move fits the game is checked in handleMove
+const MOVE_TYPES = ["drop", "pop"];
+const MAX_GAME_ID_LENGTH = 64;
+
+/**
+ * Validate `{ gameId, move: { type, column } }`. The older `{ gameId, column }`
+ * form is accepted as a drop.
+ * @returns {{ value: { gameId: string, move: { type: string, column: number } }|null, error: string|null }}
+ */
+const validateMovePayload = (payload) => {
+  if (!payload || typeof payload !== "object") {
+    return { value: null, error: "Move payload must be an object." };
+  }
+
+  const { gameId } = payload;
+  if (typeof gameId !== "string" || gameId.length === 0 || gameId.length > MAX_GAME_ID_LENGTH) {
+    return { value: null, error: "gameId must be a non-empty string." };
+  }
+
+  const move = payload.move !== undefined ? payload.move : { type: "drop", column: payload.column };
+  if (!move || typeof move !== "object") {
+    return { value: null, error: "move must be an object." };
+  }
+  if (!MOVE_TYPES.includes(move.type)) {
+    return { value: null, error: `move.type must be one of: ${MOVE_TYPES.join(", ")}.` };
+  }
+  if (!Number.isInteger(move.column) || move.column < 0) {
+    return { value: null, error: "column must be a non-negative integer." };
+  }
+
+  return { value: { gameId, move: { type: move.type, column: move.column } }, error: null };
+};
+
+module.exports = {
+  MOVE_TYPES,
+  validateMovePayload,
+};
@@ -1,15 +1,26 @@
 // src/App.jsx
 
 import React, { useState, useEffect } from "react";
-import { BrowserRouter, Routes, Route } from "react-router-dom";
+import { BrowserRouter, Routes, Route, useParams } from "react-router-dom";
 import Landing from "./components/Landing";
 import Lobby from "./components/Lobby";
 import GameBoard from "./components/GameBoard";
+import Replay from "./components/Replay";
+import Spectate from "./components/Spectate";
+import Room from "./components/Room";
+import Login from "./components/Login";
+import Stats from "./components/Stats";
 import BackendLoader from "./components/BackendLoader";
 import RateLimitNotification from "./components/RateLimitNotification";
 import CorsErrorNotification from "./components/CorsErrorNotification";
 import { getSocket } from "./socket";
 
+// A rematch navigates to a new game id; remount so nothing carries over from the last game
+const GameRoute = () => {
+  const { gameId } = useParams();
+  return <GameBoard key={gameId} />;
+};
+
 function App() {
   const [isBackendLoading, setIsBackendLoading] = useState(true);
   const [connectionError, setConnectionError] = useState(null);
@@ -123,8 +134,13 @@ function App() {
       <BrowserRouter>
         <Routes>
           <Route path="/" element={<Landing />} />
+          <Route path="/login" element={<Login />} />
           <Route path="/play" element={<Lobby />} />
-          <Route path="/game/:gameId" element={<GameBoard />} />
+          <Route path="/game/:gameId" element={<GameRoute />} />
+          <Route path="/replay/:gameId" element={<Replay />} />
+          <Route path="/watch/:gameId" element={<Spectate />} />
+          <Route path="/room/:code" element={<Room />} />
+          <Route path="/stats" element={<Stats />} />
         </Routes>
         
         {/* Show notifications for any route */}
@@ -0,0 +1,180 @@
+// src/components/Board.jsx
+
+import React from "react";
+
+// Connect4 grid shared by live games and replays
+const Board = ({ board, winningPositions = [], lastMove = null, canPlay = false, onColumnClick }) => {
+  return (
+    <>
+      <style>{`
+        @keyframes pulse {
+          0% {
+            box-shadow: 0 0 25px #00ff00, inset 0 0 15px #00ff00;
+            transform: scale(1);
+          }
+          50% {
+            box-shadow: 0 0 40px #00ff00, inset 0 0 25px #00ff00;
+            transform: scale(1.1);
+          }
+          100% {
+            box-shadow: 0 0 25px #00ff00, inset 0 0 15px #00ff00;
+            transform: scale(1);
+          }
+        }
+        
+        @keyframes winningGlow {
+          0% {
+            box-shadow: 0 0 30px #ffd700, inset 0 0 20px #ffd700;
+            border-color: #ffd700;
+          }
+          25% {
+            box-shadow: 0 0 40px #00ff00, inset 0 0 25px #00ff00;
+            border-color: #00ff00;
+          }
+          50% {
+            box-shadow: 0 0 50px #ff0080, inset 0 0 30px #ff0080;
+            border-color: #ff0080;
+          }
+          75% {
+            box-shadow: 0 0 40px #00ff00, inset 0 0 25px #00ff00;
+            border-color: #00ff00;
+          }
+          100% {
+            box-shadow: 0 0 30px #ffd700, inset 0 0 20px #ffd700;
+            border-color: #ffd700;
+          }
+        }
+        
+        @keyframes lastMoveGlow {
+          0% {
+            box-shadow: 0 0 60px #ff6b6b, inset 0 0 30px #ff6b6b;
+            border-color: #ff6b6b;
+            transform: scale(1.3);
+          }
+          25% {
+            box-shadow: 0 0 80px #ffd93d, inset 0 0 40px #ffd93d;
+            border-color: #ffd93d;
+            transform: scale(1.4);
+          }
+          50% {
+            box-shadow: 0 0 100px #6bcf7f, inset 0 0 50px #6bcf7f;
+            border-color: #6bcf7f;
+            transform: scale(1.5);
+          }
+          75% {
+            box-shadow: 0 0 80px #4ecdc4, inset 0 0 40px #4ecdc4;
+            border-color: #4ecdc4;
+            transform: scale(1.4);
+          }
+          100% {
+            box-shadow: 0 0 60px #ff6b6b, inset 0 0 30px #ff6b6b;
+            border-color: #ff6b6b;
+            transform: scale(1.3);
+          }
+        }
+      `}</style>
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: `repeat(${board[0].length}, 60px)`,
+          justifyContent: "center",
+          gap: "8px",
+          backgroundColor: "#0b1d1f",
+          padding: "20px",
+          borderRadius: "12px",
+          boxShadow: "0 4px 12px rgba(0, 0, 0, 0.3)",
+          marginBottom: "30px"
+        }}
+      >
+        {board.map((row, rIdx) =>
+          row.map((cell, cIdx) => {
+            const isWinningPosition = winningPositions.some(pos => pos[0] === rIdx && pos[1] === cIdx);
+            const isLastWinningMove = lastMove && 
+                                     lastMove.row === rIdx && lastMove.column === cIdx && 
+                                     isWinningPosition;
+            
+            return (
+              <div
+                key={`${rIdx}-${cIdx}`}
+                onClick={() => onColumnClick && onColumnClick(cIdx, rIdx)}
+                style={{
+                  width: "60px",
+                  height: "60px",
+                  backgroundColor:
+                    isLastWinningMove
+                      ? (cell === "X" ? "#ff1a1a" : "#ffaa00") // Super bright colors for the last winning move
+                      : isWinningPosition 
+                        ? (cell === "X" ? "#ff4444" : "#ffcc44") // Brighter colors for winning pieces
+                        : (cell === "X" ? "#d62828" : cell === "O" ? "#fcbf49" : "#e0e0e0"),
+                  border: isLastWinningMove 
+                    ? "6px solid #ff6b6b" 
+                    : isWinningPosition 
+                      ? "5px solid #00ff00" 
+                      : "2px solid #333",
+                  borderRadius: "50%",
+                  cursor: canPlay ? "pointer" : "not-allowed",
+                  transition: "transform 0.2s, border 0.3s, box-shadow 0.3s, background-color 0.3s",
+                  boxShadow: isLastWinningMove
+                    ? "0 0 60px #ff6b6b, inset 0 0 30px #ff6b6b, 0 0 100px rgba(255, 107, 107, 0.5)"
+                    : isWinningPosition 
+                      ? "0 0 30px #00ff00, inset 0 0 15px #00ff00, 0 0 50px rgba(0, 255, 0, 0.3)" 
+                      : "none",
+                  animation: isLastWinningMove 
+                    ? "lastMoveGlow 1s infinite" 
+                    : isWinningPosition 
+                      ? "winningGlow 1.5s infinite" 
+                      : "none",
+                  position: "relative",
+                  zIndex: isLastWinningMove ? 20 : isWinningPosition ? 10 : 1,
+                }}
+                onMouseOver={(e) => {
+                  if (canPlay && !isWinningPosition) e.currentTarget.style.transform = "scale(1.1)";
+                }}
+                onMouseOut={(e) => {
+                  if (!isWinningPosition && !isLastWinningMove) e.currentTarget.style.transform = "scale(1)";
+                }}
+              >
+                {/* Add special icon for the last winning move */}
+                {isLastWinningMove && (
+                  <div style={{
+                    position: "absolute",
+                    top: "50%",
+                    left: "50%",
+                    transform: "translate(-50%, -50%)",
+                    fontSize: "24px",
+                    color: "#ffffff",
+                    textShadow: "0 0 15px #000000",
+                    fontWeight: "bold",
+                    zIndex: 21,
+                    animation: "pulse 0.8s infinite"
+                  }}>
+                    🏆
+                  </div>
+                )}
+                {/* Add a star icon for other winning pieces */}
+                {isWinningPosition && !isLastWinningMove && (
+                  <div style={{
+                    position: "absolute",
+                    top: "50%",
+                    left: "50%",
+                    transform: "translate(-50%, -50%)",
+                    fontSize: "20px",
+                    color: "#ffffff",
+                    textShadow: "0 0 10px #000000",
+                    fontWeight: "bold",
+                    zIndex: 11,
+                    animation: "pulse 1s infinite"
+                  }}>
+                    ⭐
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </>
+  );
+};
+
+export default Board;
@@ -0,0 +1,193 @@
+// src/components/ChatPanel.jsx
+
+import React, { useEffect, useRef, useState } from "react";
+import { getSocket } from "../socket";
+
+const MAX_MESSAGE_LENGTH = 200;
+
+const linkButtonStyle = {
+  background: "none",
+  border: "none",
+  padding: 0,
+  color: "#6ee7b7",
+  textDecoration: "underline",
+  cursor: "pointer",
+  fontSize: "12px",
+};
+
+/**
+ * Chat for one game, or for the lobby when `gameId` is null.
+ * Muting only hides the opponent for this page; blocking is kept on the server
+ * and stops their messages in every chat.
+ */
+const ChatPanel = ({ gameId = null, username, opponent = null, canWrite = true, title = "Chat" }) => {
+  const [messages, setMessages] = useState([]);
+  const [text, setText] = useState("");
+  const [error, setError] = useState("");
+  const [muted, setMuted] = useState(false);
+  const [blocked, setBlocked] = useState([]);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    let socketInstance = null;
+    const isThisChat = (id) => (id ?? null) === gameId;
+
+    const handleHistory = ({ gameId: id, messages }) => {
+      if (isThisChat(id)) setMessages(messages);
+    };
+    const handleMessage = (message) => {
+      if (isThisChat(message.gameId)) setMessages((prev) => [...prev, message].slice(-100));
+    };
+    const handleError = ({ gameId: id, message }) => {
+      if (isThisChat(id)) setError(message);
+    };
+    const handleBlocked = ({ usernames }) => setBlocked(usernames);
+    const handleRateLimited = ({ event, retryAfter }) => {
+      if (event === "sendMessage") setError(`You're sending messages too fast. Wait ${retryAfter}s.`);
+    };
+
+    const setup = async () => {
+      try {
+        socketInstance = await getSocket();
+        socketInstance.on("chatHistory", handleHistory);
+        socketInstance.on("chatMessage", handleMessage);
+        socketInstance.on("chatError", handleError);
+        socketInstance.on("blockedUsers", handleBlocked);
+        socketInstance.on("rateLimited", handleRateLimited);
+
+        if (gameId) socketInstance.emit("getChatHistory", { gameId });
+        else socketInstance.emit("joinLobbyChat");
+        if (username) socketInstance.emit("getBlockedUsers");
+      } catch (error) {
+        console.error("Failed to set up chat:", error);
+      }
+    };
+
+    setup();
+
+    return () => {
+      if (!socketInstance) return;
+      if (!gameId) socketInstance.emit("leaveLobbyChat");
+      socketInstance.off("chatHistory", handleHistory);
+      socketInstance.off("chatMessage", handleMessage);
+      socketInstance.off("chatError", handleError);
+      socketInstance.off("blockedUsers", handleBlocked);
+      socketInstance.off("rateLimited", handleRateLimited);
+    };
+  }, [gameId, username]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [messages]);
+
+  const send = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    try {
+      const socket = await getSocket();
+      socket.emit("sendMessage", { gameId, text });
+      setText("");
+      setError("");
+    } catch (error) {
+      console.error("Failed to send message:", error);
+      setError("Failed to send message.");
+    }
+  };
+
+  const toggleBlock = async (other) => {
+    const socket = await getSocket();
+    socket.emit(blocked.includes(other) ? "unblockUser" : "blockUser", { username: other });
+  };
+
+  const visible = messages.filter(
+    (m) => !blocked.includes(m.username) && !(muted && m.username === opponent)
+  );
+
+  return (
+    <div style={{
+      backgroundColor: "#0b1d1f",
+      border: "2px solid #1f4a4f",
+      borderRadius: "15px",
+      padding: "15px",
+      marginBottom: "20px",
+      textAlign: "left",
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "10px" }}>
+        <strong style={{ color: "#6ee7b7", fontSize: "16px" }}>💬 {title}</strong>
+        {opponent && username && (
+          <span style={{ display: "flex", gap: "12px" }}>
+            <button onClick={() => setMuted((m) => !m)} style={linkButtonStyle}>
+              {muted ? `Unmute ${opponent}` : `Mute ${opponent}`}
+            </button>
+            <button onClick={() => toggleBlock(opponent)} style={linkButtonStyle}>
+              {blocked.includes(opponent) ? "Unblock" : "Block"}
+            </button>
+          </span>
+        )}
+      </div>
+
+      <div ref={listRef} style={{ height: "160px", overflowY: "auto", fontSize: "14px", marginBottom: "10px" }}>
+        {visible.length === 0 && <p style={{ color: "#888", margin: 0 }}>No messages yet.</p>}
+        {visible.map((m, i) => (
+          <div key={m.id ?? `${m.createdAt}-${i}`} style={{ marginBottom: "4px", color: "#fff", wordBreak: "break-word" }}>
+            <span style={{ color: m.username === username ? "#6ee7b7" : "#facc15", fontWeight: "bold" }}>
+              {m.username}
+            </span>
+            : {m.text}
+            {!gameId && username && m.username !== username && (
+              <button onClick={() => toggleBlock(m.username)} style={{ ...linkButtonStyle, marginLeft: "8px", color: "#888" }}>
+                block
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {error && <p style={{ color: "#ff6b6b", fontSize: "13px", margin: "0 0 8px 0" }}>{error}</p>}
+
+      {canWrite && username ? (
+        <form onSubmit={send} style={{ display: "flex", gap: "8px" }}>
+          <input
+            type="text"
+            value={text}
+            maxLength={MAX_MESSAGE_LENGTH}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Say something..."
+            style={{
+              flex: 1,
+              padding: "8px 12px",
+              fontSize: "14px",
+              borderRadius: "20px",
+              border: "1px solid #1f4a4f",
+              backgroundColor: "#122c2f",
+              color: "#fff",
+            }}
+          />
+          <button
+            type="submit"
+            style={{
+              padding: "8px 16px",
+              fontSize: "14px",
+              backgroundColor: "#6ee7b7",
+              color: "#000",
+              border: "none",
+              borderRadius: "20px",
+              cursor: "pointer",
+              fontWeight: "bold",
+            }}
+          >
+            Send
+          </button>
+        </form>
+      ) : (
+        <p style={{ color: "#888", fontSize: "13px", margin: 0 }}>
+          {canWrite ? "Log in to chat." : "Only players can chat here."}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ChatPanel;
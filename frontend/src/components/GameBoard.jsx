@@ -1,26 +1,67 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
 import { useLocation, useParams, useNavigate } from "react-router-dom";
 import { getSocket } from "../socket";
 import { backendService } from "../services/backendService";
+import { clearGameSession, getGameSession, saveGameSession, updateGameSession } from "../services/gameSession";
+import Board from "./Board";
+import GameClock from "./GameClock";
+import Toast from "./Toast";
+import GameResultModal from "./GameResultModal";
+import ChatPanel from "./ChatPanel";
+import { createSyncTracker } from "../services/stateSync";
+import { DEFAULT_GAME_OPTIONS, POP_VARIANTS, createEmptyBoard, describeGameOptions } from "../services/gameOptions";
 
-const ROWS = 6;
-const COLS = 7;
+const actionButtonStyle = {
+  padding: "8px 18px",
+  fontSize: "14px",
+  backgroundColor: "#1f4a4f",
+  color: "#fff",
+  border: "none",
+  borderRadius: "20px",
+  cursor: "pointer",
+  fontWeight: "bold",
+};
 
 const GameBoard = () => {
   const location = useLocation();
   const { gameId } = useParams();
   const navigate = useNavigate();
   
-  // Get data from navigation state
-  const { username, opponent, turn: initialTurn } = location.state || {};
+  // Get data from navigation state, or from the stored seat after a page refresh
+  const session = getGameSession(gameId);
+  const {
+    username = session?.username,
+    opponent: initialOpponent = session?.opponent,
+    turn: initialTurn,
+    options: initialOptions = DEFAULT_GAME_OPTIONS,
+    board: initialBoard,
+    variantState: initialVariantState = null,
+    symbol: initialSymbol = session?.symbol,
+    moveNumber: initialMoveNumber,
+    stateHash: initialStateHash,
+    clock: initialClock,
+    reconnectToken,
+  } = location.state || {};
   
-  const [board, setBoard] = useState(Array.from({ length: ROWS }, () => Array(COLS).fill(null)));
+  const [opponent, setOpponent] = useState(initialOpponent);
+  const [options, setOptions] = useState(initialOptions);
+  // Some variants start with discs on the board, so prefer the server's board
+  const [board, setBoard] = useState(() => initialBoard || createEmptyBoard(initialOptions));
+  const [variantState, setVariantState] = useState(initialVariantState);
+  const [mySymbol, setMySymbol] = useState(initialSymbol);
   const [turn, setTurn] = useState(initialTurn || null);
+  const [clock, setClock] = useState(() => (initialClock ? { ...initialClock, receivedAt: Date.now() } : null));
   const [winningPositions, setWinningPositions] = useState([]);
   const [lastMove, setLastMove] = useState(null); // Track the last move position
   const [connectionError, setConnectionError] = useState(false); // Track connection errors
   const [isReconnecting, setIsReconnecting] = useState(false); // Track reconnection status
   const [reconnectAttempts, setReconnectAttempts] = useState(0); // Track reconnection attempts
+  const [toast, setToast] = useState(""); // Why the last move didn't count
+  const clearToast = useCallback(() => setToast(""), []);
+  const [result, setResult] = useState(null); // { winner, draw, reason } once the game is over
+  const [drawOffer, setDrawOffer] = useState(null); // "sent" | "received" while an offer is pending
+  const [rematch, setRematch] = useState(""); // See GameResultModal
+  const [seated, setSeated] = useState(false); // This socket holds the seat (chat needs it)
   
   // If no state data, redirect back to lobby
   useEffect(() => {
@@ -33,12 +74,20 @@ const GameBoard = () => {
     }
   }, [username, gameId, opponent, initialTurn, location.state, navigate]);
 
-  const makeMove = async (col) => {
-    if (turn !== username) return;
+  const canPop = POP_VARIANTS.includes(options.variant);
+
+  const makeMove = async (col, row) => {
+    if (turn !== username) {
+      setToast("It's not your turn.");
+      return;
+    }
+
+    // Clicking one of your own discs in the bottom row pops it out
+    const isPop = canPop && row === board.length - 1 && board[row][col] === mySymbol;
     
     try {
       const socket = await getSocket();
-      socket.emit("makeMove", { gameId, column: col });
+      socket.emit("makeMove", { gameId, move: { type: isPop ? "pop" : "drop", column: col } });
     } catch (error) {
       console.error("Failed to make move:", error);
       // Show connection error
@@ -46,14 +95,94 @@ const GameBoard = () => {
     }
   };
 
+  // 🏳️ resign, offerDraw, acceptDraw, declineDraw, requestRematch, declineRematch
+  const sendAction = async (action) => {
+    try {
+      const socket = await getSocket();
+      socket.emit(action, { gameId });
+    } catch (error) {
+      console.error(`Failed to send ${action}:`, error);
+      setConnectionError(true);
+    }
+  };
+
+  const resign = () => {
+    if (window.confirm("Resign this game?")) sendAction("resign");
+  };
+
+  const leaveAfterGame = () => {
+    if (rematch !== "declined" && rematch !== "unavailable") sendAction("declineRematch");
+    navigate("/play");
+  };
+
   useEffect(() => {
+    let resumeSeat = null;
+    let handleRejoinSuccess = null;
+    let handleStateSync = null;
+    const sync = createSyncTracker({ moveNumber: initialMoveNumber, stateHash: initialStateHash });
+    let handleRejoinFailed = null;
+
     const initializeGameSocket = async () => {
-      console.log("🔁 GameBoard mounted. Username:", username, "Opponent:", opponent, "Turn:", turn);
+      console.log("🔁 GameBoard mounted. Username:", username, "Opponent:", opponent);
       
       try {
         setConnectionError(false);
         const socket = await getSocket();
 
+        // 🔑 Remember the seat on first load; on a new socket (refresh or reconnect) claim it back
+        resumeSeat = () => {
+          const stored = getGameSession(gameId);
+          if (!stored) {
+            if (reconnectToken) {
+              saveGameSession({ gameId, username, opponent, symbol: initialSymbol, reconnectToken, socketId: socket.id });
+              setSeated(true);
+            }
+            return;
+          }
+          if (stored.socketId === socket.id) setSeated(true);
+          if (stored.socketId !== socket.id) {
+            console.log("🔄 Resuming game", gameId);
+            socket.emit("rejoin", { gameId, reconnectToken: stored.reconnectToken });
+          }
+        };
+
+        // 📸 Replace local state with a full server snapshot
+        const applySnapshot = (snapshot) => {
+          setOptions(snapshot.options);
+          setVariantState(snapshot.variantState);
+          setBoard([...snapshot.board]);
+          setTurn(snapshot.turn);
+          setClock({ ...snapshot.clock, receivedAt: Date.now() });
+          setLastMove(snapshot.lastMove);
+          sync.reset(snapshot);
+        };
+
+        handleRejoinSuccess = (snapshot) => {
+          setConnectionError(false);
+          applySnapshot(snapshot);
+          setMySymbol(snapshot.symbol);
+          setOpponent(snapshot.opponent);
+          setSeated(true);
+          updateGameSession(gameId, { reconnectToken: snapshot.reconnectToken, socketId: socket.id });
+        };
+
+        handleStateSync = (snapshot) => {
+          console.log("🔄 Resynced game state at move", snapshot.moveNumber);
+          applySnapshot(snapshot);
+        };
+
+        handleRejoinFailed = ({ message }) => {
+          clearGameSession();
+          alert(message);
+          navigate("/play");
+        };
+
+        socket.on("connect", resumeSeat);
+        socket.on("rejoinSuccess", handleRejoinSuccess);
+        socket.on("stateSync", handleStateSync);
+        socket.on("rejoinFailed", handleRejoinFailed);
+        resumeSeat();
+
         // Set up socket connection error handler
         socket.on("connect_error", (error) => {
           console.error("Socket connection error:", error);
@@ -67,21 +196,32 @@ const GameBoard = () => {
           }
         });
 
-        socket.on("moveMade", ({ column, row, symbol, board }) => {
+        socket.on("moveMade", ({ column, row, symbol, board, turn, variantState, clock, ...progress }) => {
           // Connection is working if we receive this event
           setConnectionError(false);
+
+          // 🔄 Missed an update? The payload is still authoritative, but fetch the full state too
+          if (!sync.follows(progress)) {
+            console.warn("⚠️ Game state out of sync, requesting a resync");
+            socket.emit("syncState", { gameId });
+          }
+
           setBoard([...board]);
+          setVariantState(variantState);
+          if (clock) setClock({ ...clock, receivedAt: Date.now() });
           
           // Track the last move position
           setLastMove({ row, column, symbol });
 
-          // Switch turn locally
-          setTurn(prev => (prev === username ? opponent : username));
+          // The server decides who is next (some variants grant an extra turn)
+          setTurn(turn);
         });
 
-        socket.on("gameOver", ({ winner, draw, board, winningPositions }) => {
+        socket.on("gameOver", ({ winner, draw, reason, board, winningPositions, clock }) => {
           // Connection is working if we receive this event
           setConnectionError(false);
+          clearGameSession();
+          if (clock) setClock({ ...clock, receivedAt: Date.now() });
           
           // Clear any existing winning positions first
           setWinningPositions([]);
@@ -98,18 +238,54 @@ const GameBoard = () => {
               setWinningPositions(winningPositions);
             }
             
-            // Simply show alert and navigate home - no overlay
-            setTimeout(() => {
-              if (draw) {
-                alert("It's a Draw!");
-              } else {
-                alert(winner === username ? "You Win!" : `${winner} Wins`);
-              }
-              navigate("/");
-            }, 2000); // Slightly shorter delay, as we're not showing the overlay anymore
+            // Let the winning line show for a moment before the result covers it
+            setDrawOffer(null);
+            setTimeout(() => setResult({ winner, draw, reason }), 1500);
           }, 100); // Small delay to ensure board renders before highlighting
         });
 
+        // 🤝 Draw offers reach both players; only the other one can answer
+        socket.on("drawOffered", ({ username: from }) => {
+          setDrawOffer(from === username ? "sent" : "received");
+        });
+
+        socket.on("drawDeclined", ({ username: by }) => {
+          setDrawOffer(null);
+          if (by !== username) setToast(`${by} declined the draw.`);
+        });
+
+        // 🔁 Rematches start a fresh game with colours swapped
+        socket.on("rematchRequested", ({ username: by }) => {
+          setRematch(by === username ? "requested" : "opponent");
+        });
+
+        socket.on("rematchDeclined", ({ username: by }) => {
+          if (by !== username) setRematch("declined");
+        });
+
+        socket.on("gameActionFailed", ({ action, message }) => {
+          if (action === "requestRematch") setRematch("unavailable");
+          setToast(message);
+        });
+
+        socket.on("gameStarted", ({ gameId: newGameId, players, rematchOf, ...started }) => {
+          if (rematchOf !== gameId) return;
+          navigate(`/game/${newGameId}`, {
+            replace: true,
+            state: { ...started, username, gameId: newGameId, opponent: players.find((p) => p !== username) || opponent },
+          });
+        });
+
+        // ❌ The server explains every move it refuses
+        socket.on("moveRejected", ({ message }) => {
+          setToast(message);
+        });
+
+        // 🐢 The server dropped an event because it came too fast (chat shows its own)
+        socket.on("rateLimited", ({ event, message }) => {
+          if (event !== "sendMessage") setToast(message);
+        });
+
         socket.on("playerDisconnected", ({ message }) => {
           alert(message);
         });
@@ -134,11 +310,23 @@ const GameBoard = () => {
         socket.off("disconnect");
         socket.off("moveMade");
         socket.off("gameOver");
+        socket.off("drawOffered");
+        socket.off("drawDeclined");
+        socket.off("rematchRequested");
+        socket.off("rematchDeclined");
+        socket.off("gameActionFailed");
+        socket.off("gameStarted");
+        socket.off("moveRejected");
+        socket.off("rateLimited");
         socket.off("playerDisconnected");
         socket.off("playerRejoined");
+        if (resumeSeat) socket.off("connect", resumeSeat);
+        if (handleRejoinSuccess) socket.off("rejoinSuccess", handleRejoinSuccess);
+        if (handleStateSync) socket.off("stateSync", handleStateSync);
+        if (handleRejoinFailed) socket.off("rejoinFailed", handleRejoinFailed);
       }).catch(console.error);
     };
-  }, [username, opponent, turn, navigate]);
+  }, [username, opponent, initialSymbol, initialMoveNumber, initialStateHash, reconnectToken, navigate, gameId]);
 
   // Effect for handling reconnection attempts - simplified and merged from two effects
   useEffect(() => {
@@ -209,73 +397,7 @@ const GameBoard = () => {
 
   return (
     <>
-      <style>{`
-        @keyframes pulse {
-          0% {
-            box-shadow: 0 0 25px #00ff00, inset 0 0 15px #00ff00;
-            transform: scale(1);
-          }
-          50% {
-            box-shadow: 0 0 40px #00ff00, inset 0 0 25px #00ff00;
-            transform: scale(1.1);
-          }
-          100% {
-            box-shadow: 0 0 25px #00ff00, inset 0 0 15px #00ff00;
-            transform: scale(1);
-          }
-        }
-        
-        @keyframes winningGlow {
-          0% {
-            box-shadow: 0 0 30px #ffd700, inset 0 0 20px #ffd700;
-            border-color: #ffd700;
-          }
-          25% {
-            box-shadow: 0 0 40px #00ff00, inset 0 0 25px #00ff00;
-            border-color: #00ff00;
-          }
-          50% {
-            box-shadow: 0 0 50px #ff0080, inset 0 0 30px #ff0080;
-            border-color: #ff0080;
-          }
-          75% {
-            box-shadow: 0 0 40px #00ff00, inset 0 0 25px #00ff00;
-            border-color: #00ff00;
-          }
-          100% {
-            box-shadow: 0 0 30px #ffd700, inset 0 0 20px #ffd700;
-            border-color: #ffd700;
-          }
-        }
-        
-        @keyframes lastMoveGlow {
-          0% {
-            box-shadow: 0 0 60px #ff6b6b, inset 0 0 30px #ff6b6b;
-            border-color: #ff6b6b;
-            transform: scale(1.3);
-          }
-          25% {
-            box-shadow: 0 0 80px #ffd93d, inset 0 0 40px #ffd93d;
-            border-color: #ffd93d;
-            transform: scale(1.4);
-          }
-          50% {
-            box-shadow: 0 0 100px #6bcf7f, inset 0 0 50px #6bcf7f;
-            border-color: #6bcf7f;
-            transform: scale(1.5);
-          }
-          75% {
-            box-shadow: 0 0 80px #4ecdc4, inset 0 0 40px #4ecdc4;
-            border-color: #4ecdc4;
-            transform: scale(1.4);
-          }
-          100% {
-            box-shadow: 0 0 60px #ff6b6b, inset 0 0 30px #ff6b6b;
-            border-color: #ff6b6b;
-            transform: scale(1.3);
-          }
-        }
-      `}</style>
+      <Toast message={toast} onClose={clearToast} />
       <div
         style={{
           minHeight: "100vh",
@@ -304,108 +426,42 @@ const GameBoard = () => {
         <h4 style={{ fontSize: "18px", margin: "5px 0 30px 0", color: "#6ee7b7" }}>
           Opponent: <span style={{ color: "#fff" }}>{opponent || "Waiting..."}</span>
         </h4>
+        <p style={{ fontSize: "14px", margin: "-20px 0 20px 0", color: "#ccc" }}>
+          {describeGameOptions(options)}
+        </p>
+        {canPop && (
+          <p style={{ fontSize: "14px", margin: "0 0 20px 0", color: "#ccc" }}>
+            {variantState?.phase === "setup"
+              ? "Fill the board row by row, then pop your discs."
+              : "Click one of your discs in the bottom row to pop it out."}
+          </p>
+        )}
+        {variantState?.captured && (
+          <p style={{ fontSize: "16px", margin: "0 0 20px 0", color: "#6ee7b7" }}>
+            Discs kept: <span style={{ color: "#fff" }}>
+              You {variantState.captured[mySymbol] ?? 0} · {opponent} {variantState.captured[mySymbol === "X" ? "O" : "X"] ?? 0}
+            </span> (first to 10)
+          </p>
+        )}
 
-        <div
-          style={{
-            display: "grid",
-            gridTemplateColumns: `repeat(${COLS}, 60px)`,
-            justifyContent: "center",
-            gap: "8px",
-            backgroundColor: "#0b1d1f",
-            padding: "20px",
-            borderRadius: "12px",
-            boxShadow: "0 4px 12px rgba(0, 0, 0, 0.3)",
-            marginBottom: "30px"
-          }}
-        >
-          {board.map((row, rIdx) =>
-            row.map((cell, cIdx) => {
-              const isWinningPosition = winningPositions.some(pos => pos[0] === rIdx && pos[1] === cIdx);
-              const isLastWinningMove = lastMove && 
-                                       lastMove.row === rIdx && lastMove.column === cIdx && 
-                                       isWinningPosition;
-              
-              return (
-                <div
-                  key={`${rIdx}-${cIdx}`}
-                  onClick={() => makeMove(cIdx)}
-                  style={{
-                    width: "60px",
-                    height: "60px",
-                    backgroundColor:
-                      isLastWinningMove
-                        ? (cell === "X" ? "#ff1a1a" : "#ffaa00") // Super bright colors for the last winning move
-                        : isWinningPosition 
-                          ? (cell === "X" ? "#ff4444" : "#ffcc44") // Brighter colors for winning pieces
-                          : (cell === "X" ? "#d62828" : cell === "O" ? "#fcbf49" : "#e0e0e0"),
-                    border: isLastWinningMove 
-                      ? "6px solid #ff6b6b" 
-                      : isWinningPosition 
-                        ? "5px solid #00ff00" 
-                        : "2px solid #333",
-                    borderRadius: "50%",
-                    cursor: turn === username ? "pointer" : "not-allowed",
-                    transition: "transform 0.2s, border 0.3s, box-shadow 0.3s, background-color 0.3s",
-                    boxShadow: isLastWinningMove
-                      ? "0 0 60px #ff6b6b, inset 0 0 30px #ff6b6b, 0 0 100px rgba(255, 107, 107, 0.5)"
-                      : isWinningPosition 
-                        ? "0 0 30px #00ff00, inset 0 0 15px #00ff00, 0 0 50px rgba(0, 255, 0, 0.3)" 
-                        : "none",
-                    animation: isLastWinningMove 
-                      ? "lastMoveGlow 1s infinite" 
-                      : isWinningPosition 
-                        ? "winningGlow 1.5s infinite" 
-                        : "none",
-                    position: "relative",
-                    zIndex: isLastWinningMove ? 20 : isWinningPosition ? 10 : 1,
-                  }}
-                  onMouseOver={(e) => {
-                    if (turn === username && !isWinningPosition) e.currentTarget.style.transform = "scale(1.1)";
-                  }}
-                  onMouseOut={(e) => {
-                    if (!isWinningPosition && !isLastWinningMove) e.currentTarget.style.transform = "scale(1)";
-                  }}
-                >
-                  {/* Add special icon for the last winning move */}
-                  {isLastWinningMove && (
-                    <div style={{
-                      position: "absolute",
-                      top: "50%",
-                      left: "50%",
-                      transform: "translate(-50%, -50%)",
-                      fontSize: "24px",
-                      color: "#ffffff",
-                      textShadow: "0 0 15px #000000",
-                      fontWeight: "bold",
-                      zIndex: 21,
-                      animation: "pulse 0.8s infinite"
-                    }}>
-                      🏆
-                    </div>
-                  )}
-                  {/* Add a star icon for other winning pieces */}
-                  {isWinningPosition && !isLastWinningMove && (
-                    <div style={{
-                      position: "absolute",
-                      top: "50%",
-                      left: "50%",
-                      transform: "translate(-50%, -50%)",
-                      fontSize: "20px",
-                      color: "#ffffff",
-                      textShadow: "0 0 10px #000000",
-                      fontWeight: "bold",
-                      zIndex: 11,
-                      animation: "pulse 1s infinite"
-                    }}>
-                      ⭐
-                    </div>
-                  )}
-                </div>
-              );
-            })
-          )}
-        </div>
+        <GameClock
+          clock={clock}
+          players={[
+            { name: username, label: "You" },
+            { name: opponent, label: opponent },
+          ]}
+        />
+
+        <Board
+          board={board}
+          winningPositions={winningPositions}
+          lastMove={lastMove}
+          canPlay={turn === username}
+          onColumnClick={makeMove}
+        />
         
+        {seated && <ChatPanel gameId={gameId} username={username} opponent={opponent} canWrite={!result} />}
+
         {/* Connection Error Message */}
         {connectionError && (
           <div style={{
@@ -432,6 +488,33 @@ const GameBoard = () => {
           </div>
         )}
         
+        {drawOffer === "received" && !result && (
+          <div style={{ margin: "0 0 20px 0", color: "#6ee7b7", fontSize: "16px" }}>
+            {opponent} offers a draw.{" "}
+            <button onClick={() => sendAction("acceptDraw")} style={{ ...actionButtonStyle, backgroundColor: "#6ee7b7", color: "#000" }}>
+              Accept
+            </button>{" "}
+            <button onClick={() => sendAction("declineDraw")} style={actionButtonStyle}>
+              Decline
+            </button>
+          </div>
+        )}
+
+        {!result && (
+          <div style={{ display: "flex", justifyContent: "center", gap: "12px", marginBottom: "20px" }}>
+            <button
+              onClick={() => sendAction("offerDraw")}
+              disabled={drawOffer !== null}
+              style={{ ...actionButtonStyle, opacity: drawOffer !== null ? 0.5 : 1 }}
+            >
+              {drawOffer === "sent" ? "Draw Offered" : "Offer Draw"}
+            </button>
+            <button onClick={resign} style={{ ...actionButtonStyle, backgroundColor: "#ff5252" }}>
+              Resign
+            </button>
+          </div>
+        )}
+
         <button 
           onClick={() => navigate("/play")}
           style={{
@@ -450,6 +533,16 @@ const GameBoard = () => {
       </div>
     </div>
 
+    <GameResultModal
+      result={result}
+      username={username}
+      opponent={opponent}
+      rematch={rematch}
+      onRematch={() => sendAction("requestRematch")}
+      onReplay={() => navigate(`/replay/${gameId}`)}
+      onLeave={leaveAfterGame}
+    />
+
     {/* Connection Error Modal */}
     {connectionError && (
       <div style={{
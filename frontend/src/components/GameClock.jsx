@@ -0,0 +1,68 @@
+// src/components/GameClock.jsx
+
+import React, { useEffect, useState } from "react";
+
+const LOW_TIME_MS = 10 * 1000;
+
+const formatTime = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+};
+
+// Both players' clocks; the running one counts down locally from when the server last reported it
+const GameClock = ({ clock, players }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!clock?.running) return;
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [clock]);
+
+  if (!clock) return null;
+
+  const timeLeft = (name) => {
+    const banked = clock.remaining[name] ?? 0;
+    if (clock.running !== name) return banked;
+    return Math.max(0, banked - Math.max(0, now - clock.receivedAt));
+  };
+
+  return (
+    <div style={{ display: "flex", justifyContent: "center", gap: "15px", marginBottom: "25px" }}>
+      {players.map(({ name, label }) => {
+        const left = timeLeft(name);
+        const isRunning = clock.running === name;
+        const isLow = left <= LOW_TIME_MS;
+
+        return (
+          <div
+            key={name}
+            style={{
+              backgroundColor: "#0b1d1f",
+              borderRadius: "12px",
+              padding: "10px 20px",
+              minWidth: "120px",
+              border: `2px solid ${isRunning ? (isLow ? "#ff5252" : "#6ee7b7") : "#2c4a4e"}`,
+            }}
+          >
+            <div style={{ fontSize: "12px", color: "#ccc" }}>{label}</div>
+            <div
+              style={{
+                fontSize: "28px",
+                fontWeight: "bold",
+                fontVariantNumeric: "tabular-nums",
+                color: isRunning && isLow ? "#ff5252" : "#fff",
+              }}
+            >
+              {formatTime(left)}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default GameClock;
@@ -0,0 +1,102 @@
+// src/components/GameResultModal.jsx
+
+import React from "react";
+
+// Why the game ended, as sent in gameOver.reason
+const REASON_TEXT = {
+  connect_four: "Four in a row",
+  board_full: "The board is full",
+  repetition: "Same position three times",
+  no_moves: "No moves left",
+  pop_ten: "Ten discs kept",
+  disconnect_timeout: "Opponent didn't come back",
+  timeout: "Out of time",
+  resignation: "Resignation",
+  draw_agreed: "Draw agreed",
+  abandoned: "Both players left",
+};
+
+const buttonStyle = {
+  padding: "12px 24px",
+  fontSize: "16px",
+  border: "none",
+  borderRadius: "20px",
+  cursor: "pointer",
+  fontWeight: "bold",
+};
+
+/**
+ * Final result with rematch, replay and lobby actions.
+ * `rematch` is "" | "requested" (by us) | "opponent" (they asked) | "declined" | "unavailable".
+ */
+const GameResultModal = ({ result, username, opponent, rematch, onRematch, onReplay, onLeave }) => {
+  if (!result) return null;
+
+  const { winner, draw, reason } = result;
+  const title = draw ? "It's a Draw!" : !winner ? "Game Abandoned" : winner === username ? "You Win!" : `${winner} Wins`;
+  const rematchClosed = rematch === "declined" || rematch === "unavailable";
+
+  const rematchStatus = {
+    requested: `Waiting for ${opponent} to accept...`,
+    opponent: `${opponent} wants a rematch!`,
+    declined: `${opponent} left.`,
+    unavailable: "The rematch is no longer available.",
+  }[rematch];
+
+  return (
+    <div style={{
+      position: "fixed",
+      inset: 0,
+      backgroundColor: "rgba(11, 29, 31, 0.85)",
+      display: "flex",
+      justifyContent: "center",
+      alignItems: "center",
+      zIndex: 1000,
+      color: "#fff",
+    }}>
+      <div style={{
+        backgroundColor: "#122c2f",
+        borderRadius: "20px",
+        padding: "40px",
+        textAlign: "center",
+        maxWidth: "420px",
+        width: "90%",
+        border: "2px solid #6ee7b7",
+      }}>
+        <h2 style={{ fontSize: "32px", margin: "0 0 10px 0", color: draw ? "#fff" : winner === username ? "#6ee7b7" : "#ff5252" }}>
+          {title}
+        </h2>
+        <p style={{ fontSize: "16px", margin: "0 0 25px 0", color: "#ccc" }}>
+          {REASON_TEXT[reason] || reason}
+        </p>
+
+        {rematchStatus && (
+          <p style={{ fontSize: "15px", margin: "0 0 20px 0", color: "#6ee7b7" }}>{rematchStatus}</p>
+        )}
+
+        <div style={{ display: "flex", justifyContent: "center", gap: "12px", flexWrap: "wrap" }}>
+          <button
+            onClick={onRematch}
+            disabled={rematch === "requested" || rematchClosed}
+            style={{
+              ...buttonStyle,
+              backgroundColor: "#6ee7b7",
+              color: "#000",
+              opacity: rematch === "requested" || rematchClosed ? 0.5 : 1,
+            }}
+          >
+            {rematch === "opponent" ? "Accept Rematch" : "Rematch"}
+          </button>
+          <button onClick={onReplay} style={{ ...buttonStyle, backgroundColor: "#1f4a4f", color: "#fff" }}>
+            Watch Replay
+          </button>
+          <button onClick={onLeave} style={{ ...buttonStyle, backgroundColor: "#1f4a4f", color: "#fff" }}>
+            Back to Lobby
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GameResultModal;
@@ -38,7 +38,7 @@ const Landing = () => {
             objectFit: "cover",
           }}
         />
-        <div style={{ display: "flex", justifyContent: "center", marginBottom: "30px" }}>
+        <div style={{ display: "flex", justifyContent: "center", gap: "15px", marginBottom: "30px" }}>
           <button
             onClick={() => navigate("/play")}
             style={{
@@ -54,6 +54,21 @@ const Landing = () => {
           >
             Play
           </button>
+          <button
+            onClick={() => navigate("/stats")}
+            style={{
+              backgroundColor: "transparent",
+              color: "#6ee7b7",
+              border: "2px solid #6ee7b7",
+              borderRadius: "20px",
+              padding: "12px 30px",
+              fontSize: "18px",
+              cursor: "pointer",
+              fontWeight: "bold",
+            }}
+          >
+            📊 Stats
+          </button>
         </div>
 
         <h2 style={{ marginTop: "20px", marginBottom: "20px" }}>🏆 Leaderboard</h2>
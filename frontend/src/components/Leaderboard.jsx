@@ -35,7 +35,7 @@ const Leaderboard = () => {
       {error ? (
         <p style={{ color: "#ff6b6b", fontSize: "16px" }}>{error}</p>
       ) : data.length === 0 ? (
-        <p style={{ color: "#ccc", fontSize: "16px" }}>No data yet. Play to enter the leaderboard!</p>
+        <p style={{ color: "#ccc", fontSize: "16px" }}>No data yet. Play a rated game against another player to enter the leaderboard!</p>
       ) : (
         <table style={{ 
           width: "100%", 
@@ -61,6 +61,14 @@ const Leaderboard = () => {
                 textAlign: "center",
                 border: "2px solid #6ee7b7"
               }}>Player</th>
+              <th style={{
+                padding: "12px",
+                backgroundColor: "#0b1d1f",
+                color: "#6ee7b7",
+                fontWeight: "bold",
+                textAlign: "center",
+                border: "2px solid #6ee7b7"
+              }}>W / L / D</th>
               <th style={{
                 padding: "12px",
                 backgroundColor: "#0b1d1f",
@@ -69,7 +77,7 @@ const Leaderboard = () => {
                 borderRadius: "0 8px 8px 0",
                 textAlign: "center",
                 border: "2px solid #6ee7b7"
-              }}>Wins</th>
+              }}>Rating</th>
             </tr>
           </thead>
           <tbody>
@@ -94,7 +102,17 @@ const Leaderboard = () => {
                   textAlign: "center",
                   border: `1px solid ${i === 0 ? "#6ee7b7" : "#333"}`
                 }}>
-                  {user.winner}
+                  {user.username}
+                </td>
+                <td style={{
+                  padding: "12px",
+                  backgroundColor: i === 0 ? "#6ee7b7" : "#0b1d1f",
+                  color: i === 0 ? "#000" : "#fff",
+                  fontWeight: i === 0 ? "bold" : "normal",
+                  textAlign: "center",
+                  border: `1px solid ${i === 0 ? "#6ee7b7" : "#333"}`
+                }}>
+                  {user.wins} / {user.losses} / {user.draws}
                 </td>
                 <td style={{
                   padding: "12px",
@@ -105,7 +123,11 @@ const Leaderboard = () => {
                   border: `1px solid ${i === 0 ? "#6ee7b7" : "#333"}`,
                   borderRadius: i === 0 ? "0 8px 8px 0" : "0"
                 }}>
-                  {user.wins}
+                  {user.rating}
+                  {/* Provisional until enough rated games have been played */}
+                  {user.provisional && (
+                    <span title="Provisional rating (fewer than 10 rated games)" style={{ opacity: 0.7 }}>?</span>
+                  )}
                 </td>
               </tr>
             ))}
@@ -0,0 +1,104 @@
+// src/components/LiveGames.jsx
+
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { getSocket } from "../socket";
+
+const REFRESH_INTERVAL_MS = 5000;
+
+const LiveGames = () => {
+  const [liveGames, setLiveGames] = useState([]);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    let socketInstance = null;
+    let refreshTimer = null;
+
+    const handleLiveGames = (games) => {
+      setLiveGames(games);
+    };
+
+    const subscribe = async () => {
+      try {
+        socketInstance = await getSocket();
+        socketInstance.on("liveGames", handleLiveGames);
+        socketInstance.emit("listLiveGames");
+
+        // 🔄 Keep the list fresh while the lobby is open
+        refreshTimer = setInterval(() => {
+          socketInstance.emit("listLiveGames");
+        }, REFRESH_INTERVAL_MS);
+      } catch (error) {
+        console.error("Failed to load live games:", error);
+      }
+    };
+
+    subscribe();
+
+    return () => {
+      if (refreshTimer) clearInterval(refreshTimer);
+      if (socketInstance) socketInstance.off("liveGames", handleLiveGames);
+    };
+  }, []);
+
+  return (
+    <div
+      style={{
+        backgroundColor: "#122c2f",
+        borderRadius: "20px",
+        padding: "30px 40px",
+        maxWidth: "500px",
+        width: "100%",
+        textAlign: "center",
+        marginTop: "20px",
+      }}
+    >
+      <h3 style={{ fontSize: "22px", color: "#6ee7b7", marginBottom: "15px" }}>📺 Live Games</h3>
+      {liveGames.length === 0 ? (
+        <p style={{ color: "#ccc", fontSize: "14px", margin: 0 }}>No games in progress right now.</p>
+      ) : (
+        liveGames.map((game) => (
+          <div
+            key={game.gameId}
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              backgroundColor: "#0b1d1f",
+              borderRadius: "12px",
+              padding: "10px 15px",
+              marginBottom: "10px",
+            }}
+          >
+            <div style={{ textAlign: "left" }}>
+              <div style={{ fontWeight: "bold" }}>
+                {game.players[0]} vs {game.players[1]}
+              </div>
+              <div style={{ fontSize: "12px", color: "#ccc" }}>
+                Move {game.moveCount} · 👀 {game.spectatorCount}
+                {game.isBotGame && ` · 🤖 ${game.botDifficulty}`}
+              </div>
+            </div>
+            <button
+              onClick={() => navigate(`/watch/${game.gameId}`)}
+              style={{
+                padding: "6px 16px",
+                fontSize: "14px",
+                backgroundColor: "#6ee7b7",
+                color: "#000",
+                border: "none",
+                borderRadius: "20px",
+                cursor: "pointer",
+                fontWeight: "bold",
+              }}
+            >
+              Watch
+            </button>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default LiveGames;
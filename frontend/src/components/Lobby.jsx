@@ -1,22 +1,47 @@
 import React, { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
-import { getSocket } from "../socket";
+import { Navigate, useNavigate } from "react-router-dom";
+import { getSocket, reconnectSocket } from "../socket";
+import { getCurrentUser, logout } from "../services/authService";
 import useRateLimiting from "../hooks/useRateLimiting";
+import LiveGames from "./LiveGames";
+import ChatPanel from "./ChatPanel";
+import { BOARD_PRESETS } from "../services/gameOptions";
+
+const BOT_DIFFICULTIES = [
+  { value: "easy", label: "Easy" },
+  { value: "medium", label: "Medium" },
+  { value: "hard", label: "Hard" },
+  { value: "perfect", label: "Perfect" },
+];
+
+const BOT_FIRST_MOVES = [
+  { value: "player", label: "Me" },
+  { value: "bot", label: "Bot" },
+  { value: "random", label: "Random" },
+];
+
+const TIME_CONTROLS = [
+  { value: "move-30s", label: "30s / move" },
+  { value: "blitz-3+2", label: "3 min + 2s" },
+  { value: "rapid-10+5", label: "10 min + 5s" },
+];
 
 const Lobby = () => {
-  const [name, setName] = useState("");
+  const [user] = useState(getCurrentUser);
+  const [botDifficulty, setBotDifficulty] = useState("medium");
+  const [botFirstMove, setBotFirstMove] = useState("player");
+  const [timeControl, setTimeControl] = useState("move-30s");
+  const [boardPreset, setBoardPreset] = useState("classic");
   const [joined, setJoined] = useState(false);
+  const [inviteCode, setInviteCode] = useState("");
   const [error, setError] = useState("");
   const [connectionError, setConnectionError] = useState(false);
   const { isRateLimited, remainingTime } = useRateLimiting();
   const navigate = useNavigate();
 
+  const username = user?.username || "";
+
   const joinGame = async () => {
-    const trimmed = name.trim();
-    if (!trimmed) {
-      setError("Please enter your name.");
-      return;
-    }
     if (joined) return;
     
     // Don't attempt to join if rate limited
@@ -25,12 +50,10 @@ const Lobby = () => {
       return;
     }
 
-    const cleanedName = trimmed; // keep original case
-
     try {
       const socket = await getSocket();
-      console.log("🔗 Emitting joinGame:", cleanedName);
-      socket.emit("joinGame", cleanedName);
+      console.log("🔗 Emitting joinGame:", username, "Bot difficulty:", botDifficulty);
+      socket.emit("joinGame", { botDifficulty, timeControl });
       setJoined(true);
       setError("");
       setConnectionError(false);
@@ -53,24 +76,102 @@ const Lobby = () => {
     }
   };
 
+  // 🤖 Play the bot right away instead of waiting in the queue
+  const playBot = async () => {
+    if (joined) return;
+
+    if (isRateLimited) {
+      setError(`Server is rate limited. Please wait ${remainingTime} seconds before trying again.`);
+      return;
+    }
+
+    try {
+      const socket = await getSocket();
+      socket.emit("startBotGame", { botDifficulty, timeControl, firstMove: botFirstMove });
+      setJoined(true);
+      setError("");
+      setConnectionError(false);
+    } catch (error) {
+      console.error("Failed to start bot game:", error);
+      setError("Failed to connect to server. Please try again.");
+      setConnectionError(true);
+    }
+  };
+
+  const createRoom = async () => {
+    try {
+      const socket = await getSocket();
+      const { options: gameOptions } = BOARD_PRESETS.find(p => p.value === boardPreset);
+
+      const handleRoomCreated = ({ code, gameOptions }) => {
+        socket.off("roomError", handleRoomError);
+        navigate(`/room/${code}`, { state: { username, isHost: true, gameOptions } });
+      };
+      const handleRoomError = ({ message }) => {
+        socket.off("roomCreated", handleRoomCreated);
+        setError(message);
+      };
+      socket.once("roomCreated", handleRoomCreated);
+      socket.once("roomError", handleRoomError);
+
+      socket.emit("createRoom", { timeControl, gameOptions });
+      setError("");
+    } catch (error) {
+      console.error("Failed to create room:", error);
+      setError("Failed to connect to server. Please try again.");
+    }
+  };
+
+  const joinRoomByCode = () => {
+    const code = inviteCode.trim().toUpperCase();
+    if (!code) {
+      setError("Please enter an invite code.");
+      return;
+    }
+    navigate(`/room/${code}`);
+  };
+
+  const logOut = async () => {
+    logout();
+    navigate("/login", { state: { from: "/play" } });
+    try {
+      await reconnectSocket(); // Continue as a guest
+    } catch (error) {
+      console.error("Failed to reconnect after logout:", error);
+    }
+  };
+
   useEffect(() => {
     const initializeLobbySocket = async () => {
-      const handleGameStarted = ({ gameId, players, turn }) => {
+      const handleGameStarted = ({ gameId, players, turn, board, options, variantState, moveNumber, stateHash, symbol, clock, reconnectToken }) => {
         console.log("✅ Game started with ID:", gameId, "Players:", players, "Turn:", turn);
 
-        const cleanedName = name.trim();
-        const opponent = players.find((p) => p !== cleanedName) || "BotMaster";
+        const opponent = players.find((p) => p !== username) || "BotMaster";
 
         navigate(`/game/${gameId}`, {
           state: {
-            username: cleanedName,
+            username,
             gameId,
             opponent,
             turn: turn, // keep original case
+            board,
+            options,
+            variantState,
+            moveNumber,
+            stateHash,
+            symbol,
+            clock,
+            reconnectToken,
           },
         });
       };
 
+      // 🔐 The server only seats logged-in players
+      const handleAuthError = ({ message }) => {
+        setError(message);
+        setJoined(false);
+      };
+
       try {
         // Check for rate limiting before attempting to get socket
         if (isRateLimited) {
@@ -81,12 +182,14 @@ const Lobby = () => {
         
         const socket = await getSocket();
         socket.on("gameStarted", handleGameStarted);
+        socket.on("authError", handleAuthError);
         
         // Reset connection error if successful
         setConnectionError(false);
         
         return () => {
           socket.off("gameStarted", handleGameStarted);
+          socket.off("authError", handleAuthError);
         };
       } catch (error) {
         console.error("Failed to initialize lobby socket:", error);
@@ -109,7 +212,11 @@ const Lobby = () => {
     return () => {
       cleanup.then(cleanupFn => cleanupFn && cleanupFn()).catch(console.error);
     };
-  }, [name, navigate, isRateLimited, remainingTime]);
+  }, [username, navigate, isRateLimited, remainingTime]);
+
+  if (!user) {
+    return <Navigate to="/login" state={{ from: "/play" }} replace />;
+  }
 
   return (
     <div
@@ -134,9 +241,27 @@ const Lobby = () => {
           textAlign: "center",
         }}
       >
-        <h2 style={{ fontSize: "32px", color: "#fff", marginBottom: "20px" }}>
-          Enter Your Name to Play
+        <h2 style={{ fontSize: "32px", color: "#fff", marginBottom: "10px" }}>
+          Welcome, {username}
         </h2>
+        <p style={{ fontSize: "14px", color: "#ccc", marginBottom: "20px" }}>
+          Not you?{" "}
+          <button
+            onClick={logOut}
+            disabled={joined}
+            style={{
+              background: "none",
+              border: "none",
+              padding: 0,
+              color: "#6ee7b7",
+              textDecoration: "underline",
+              cursor: joined ? "not-allowed" : "pointer",
+              fontSize: "14px",
+            }}
+          >
+            Log out
+          </button>
+        </p>
         
         <div style={{ 
           backgroundColor: "#0b1d1f", 
@@ -179,33 +304,84 @@ const Lobby = () => {
             🤖 <strong>Don't worry!</strong> If no player joins within 10 seconds, our smart bot will be your opponent.
           </p>
         </div>
-        <input
-          type="text"
-          placeholder="Your Name"
-          value={name}
-          onChange={(e) => setName(e.target.value)}
-          onKeyPress={(e) => {
-            if (e.key === 'Enter') {
-              joinGame();
-            }
-          }}
-          style={{
-            padding: "15px",
-            fontSize: "16px",
-            borderRadius: "20px",
-            border: "none",
-            marginBottom: "20px",
-            width: "80%",
-            textAlign: "center",
-            backgroundColor: "#fff",
-            boxShadow: "0 2px 8px rgba(0, 0, 0, 0.1)",
-            outline: "none",
-            userSelect: "text"
-          }}
-          disabled={joined}
-          autoComplete="off"
-          spellCheck="false"
-        />
+        <div style={{ marginBottom: "25px" }}>
+          <p style={{ fontSize: "14px", color: "#6ee7b7", margin: "0 0 10px 0" }}>
+            Bot difficulty
+          </p>
+          <div style={{ display: "flex", justifyContent: "center", gap: "8px", flexWrap: "wrap" }}>
+            {BOT_DIFFICULTIES.map(({ value, label }) => (
+              <button
+                key={value}
+                onClick={() => setBotDifficulty(value)}
+                disabled={joined}
+                style={{
+                  padding: "8px 16px",
+                  fontSize: "14px",
+                  backgroundColor: botDifficulty === value ? "#6ee7b7" : "#0b1d1f",
+                  color: botDifficulty === value ? "#000" : "#fff",
+                  border: "2px solid #6ee7b7",
+                  borderRadius: "20px",
+                  cursor: joined ? "not-allowed" : "pointer",
+                  fontWeight: botDifficulty === value ? "bold" : "normal",
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div style={{ marginBottom: "25px" }}>
+          <p style={{ fontSize: "14px", color: "#6ee7b7", margin: "0 0 10px 0" }}>
+            Who goes first against the bot
+          </p>
+          <div style={{ display: "flex", justifyContent: "center", gap: "8px", flexWrap: "wrap" }}>
+            {BOT_FIRST_MOVES.map(({ value, label }) => (
+              <button
+                key={value}
+                onClick={() => setBotFirstMove(value)}
+                disabled={joined}
+                style={{
+                  padding: "8px 16px",
+                  fontSize: "14px",
+                  backgroundColor: botFirstMove === value ? "#6ee7b7" : "#0b1d1f",
+                  color: botFirstMove === value ? "#000" : "#fff",
+                  border: "2px solid #6ee7b7",
+                  borderRadius: "20px",
+                  cursor: joined ? "not-allowed" : "pointer",
+                  fontWeight: botFirstMove === value ? "bold" : "normal",
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div style={{ marginBottom: "25px" }}>
+          <p style={{ fontSize: "14px", color: "#6ee7b7", margin: "0 0 10px 0" }}>
+            Time control
+          </p>
+          <div style={{ display: "flex", justifyContent: "center", gap: "8px", flexWrap: "wrap" }}>
+            {TIME_CONTROLS.map(({ value, label }) => (
+              <button
+                key={value}
+                onClick={() => setTimeControl(value)}
+                disabled={joined}
+                style={{
+                  padding: "8px 16px",
+                  fontSize: "14px",
+                  backgroundColor: timeControl === value ? "#6ee7b7" : "#0b1d1f",
+                  color: timeControl === value ? "#000" : "#fff",
+                  border: "2px solid #6ee7b7",
+                  borderRadius: "20px",
+                  cursor: joined ? "not-allowed" : "pointer",
+                  fontWeight: timeControl === value ? "bold" : "normal",
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
         {error && <p style={{ color: "#ff6b6b", marginBottom: "20px", fontSize: "16px" }}>{error}</p>}
         {connectionError && (
           <div style={{ 
@@ -255,6 +431,116 @@ const Lobby = () => {
         >
           {joined ? "Waiting for opponent..." : "Play Now"}
         </button>
+        {!joined && (
+          <button
+            onClick={playBot}
+            style={{
+              marginLeft: "12px",
+              padding: "12px 30px",
+              fontSize: "18px",
+              backgroundColor: "#0b1d1f",
+              color: "#6ee7b7",
+              border: "2px solid #6ee7b7",
+              borderRadius: "20px",
+              cursor: "pointer",
+              fontWeight: "bold",
+            }}
+          >
+            🤖 Play vs Bot
+          </button>
+        )}
+
+        <div style={{ borderTop: "1px solid #2c4a4e", marginTop: "30px", paddingTop: "25px" }}>
+          <p style={{ fontSize: "14px", color: "#6ee7b7", margin: "0 0 15px 0" }}>
+            🔒 Play a friend in a private room
+          </p>
+          <div style={{ display: "flex", justifyContent: "center", gap: "8px", flexWrap: "wrap", marginBottom: "15px" }}>
+            {BOARD_PRESETS.map(({ value, label }) => (
+              <button
+                key={value}
+                onClick={() => setBoardPreset(value)}
+                disabled={joined}
+                style={{
+                  padding: "6px 14px",
+                  fontSize: "13px",
+                  backgroundColor: boardPreset === value ? "#6ee7b7" : "#0b1d1f",
+                  color: boardPreset === value ? "#000" : "#fff",
+                  border: "2px solid #6ee7b7",
+                  borderRadius: "20px",
+                  cursor: joined ? "not-allowed" : "pointer",
+                  fontWeight: boardPreset === value ? "bold" : "normal",
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={createRoom}
+            disabled={joined}
+            style={{
+              padding: "10px 24px",
+              fontSize: "16px",
+              backgroundColor: "transparent",
+              color: joined ? "#555" : "#6ee7b7",
+              border: `2px solid ${joined ? "#555" : "#6ee7b7"}`,
+              borderRadius: "20px",
+              cursor: joined ? "not-allowed" : "pointer",
+              fontWeight: "bold",
+              marginBottom: "15px",
+            }}
+          >
+            Create Private Room
+          </button>
+          <div style={{ display: "flex", justifyContent: "center", gap: "8px" }}>
+            <input
+              type="text"
+              placeholder="Invite code"
+              value={inviteCode}
+              onChange={(e) => setInviteCode(e.target.value)}
+              onKeyPress={(e) => {
+                if (e.key === 'Enter') {
+                  joinRoomByCode();
+                }
+              }}
+              style={{
+                padding: "10px",
+                fontSize: "14px",
+                borderRadius: "20px",
+                border: "none",
+                width: "140px",
+                textAlign: "center",
+                textTransform: "uppercase",
+                outline: "none",
+              }}
+              disabled={joined}
+              autoComplete="off"
+              spellCheck="false"
+            />
+            <button
+              onClick={joinRoomByCode}
+              disabled={joined}
+              style={{
+                padding: "10px 20px",
+                fontSize: "14px",
+                backgroundColor: joined ? "#555" : "#6ee7b7",
+                color: joined ? "#fff" : "#000",
+                border: "none",
+                borderRadius: "20px",
+                cursor: joined ? "not-allowed" : "pointer",
+                fontWeight: "bold",
+              }}
+            >
+              Join
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <LiveGames />
+
+      <div style={{ maxWidth: "500px", width: "100%", marginTop: "20px" }}>
+        <ChatPanel username={username} title="Lobby chat" />
       </div>
     </div>
   );
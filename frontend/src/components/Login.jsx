@@ -0,0 +1,180 @@
+// src/components/Login.jsx
+
+import React, { useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { login, register } from "../services/authService";
+import { reconnectSocket } from "../socket";
+
+const inputStyle = {
+  padding: "15px",
+  fontSize: "16px",
+  borderRadius: "20px",
+  border: "none",
+  marginBottom: "15px",
+  width: "80%",
+  textAlign: "center",
+  backgroundColor: "#fff",
+  outline: "none",
+};
+
+const Login = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // Send the player back to wherever they were asked to log in
+  const returnTo = location.state?.from || "/play";
+
+  const [mode, setMode] = useState("login");
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const isRegister = mode === "register";
+
+  const submit = async () => {
+    const trimmed = username.trim();
+    if (!trimmed || !password) {
+      setError("Please enter a username and password.");
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError("");
+      await (isRegister ? register(trimmed, password) : login(trimmed, password));
+      await reconnectSocket();
+      navigate(returnTo, { replace: true });
+    } catch (error) {
+      console.error("Authentication failed:", error);
+      setError(error.message);
+      setSubmitting(false);
+    }
+  };
+
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter') {
+      submit();
+    }
+  };
+
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        backgroundColor: "#0b1d1f",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        padding: "50px 20px",
+        color: "#fff",
+      }}
+    >
+      <div
+        style={{
+          backgroundColor: "#122c2f",
+          borderRadius: "20px",
+          padding: "40px",
+          maxWidth: "500px",
+          width: "100%",
+          textAlign: "center",
+        }}
+      >
+        <h2 style={{ fontSize: "32px", color: "#fff", marginBottom: "20px" }}>
+          {isRegister ? "Create an Account" : "Log In to Play"}
+        </h2>
+
+        <div style={{ display: "flex", justifyContent: "center", gap: "8px", marginBottom: "25px" }}>
+          {["login", "register"].map((value) => (
+            <button
+              key={value}
+              onClick={() => {
+                setMode(value);
+                setError("");
+              }}
+              disabled={submitting}
+              style={{
+                padding: "8px 16px",
+                fontSize: "14px",
+                backgroundColor: mode === value ? "#6ee7b7" : "#0b1d1f",
+                color: mode === value ? "#000" : "#fff",
+                border: "2px solid #6ee7b7",
+                borderRadius: "20px",
+                cursor: submitting ? "not-allowed" : "pointer",
+                fontWeight: mode === value ? "bold" : "normal",
+              }}
+            >
+              {value === "login" ? "Log In" : "Register"}
+            </button>
+          ))}
+        </div>
+
+        <input
+          type="text"
+          placeholder="Username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          onKeyPress={handleKeyPress}
+          style={inputStyle}
+          disabled={submitting}
+          autoComplete="username"
+          spellCheck="false"
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          onKeyPress={handleKeyPress}
+          style={inputStyle}
+          disabled={submitting}
+          autoComplete={isRegister ? "new-password" : "current-password"}
+        />
+        {isRegister && (
+          <p style={{ fontSize: "12px", color: "#ccc", margin: "0 0 15px 0" }}>
+            3-20 letters, numbers, _ or -. Passwords need at least 8 characters.
+          </p>
+        )}
+
+        {error && <p style={{ color: "#ff6b6b", marginBottom: "20px", fontSize: "16px" }}>{error}</p>}
+
+        <button
+          onClick={submit}
+          disabled={submitting}
+          style={{
+            padding: "12px 30px",
+            fontSize: "18px",
+            backgroundColor: submitting ? "#555" : "#6ee7b7",
+            color: submitting ? "#fff" : "#000",
+            border: "none",
+            borderRadius: "20px",
+            cursor: submitting ? "not-allowed" : "pointer",
+            fontWeight: "bold",
+            display: "block",
+            margin: "0 auto 20px auto",
+          }}
+        >
+          {submitting ? "Please wait..." : isRegister ? "Register" : "Log In"}
+        </button>
+
+        <button
+          onClick={() => navigate("/")}
+          style={{
+            padding: "8px 20px",
+            fontSize: "14px",
+            backgroundColor: "transparent",
+            color: "#6ee7b7",
+            border: "1px solid #6ee7b7",
+            borderRadius: "20px",
+            cursor: "pointer",
+          }}
+        >
+          Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
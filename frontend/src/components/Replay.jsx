@@ -0,0 +1,199 @@
+// src/components/Replay.jsx
+
+import React, { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import axios from "axios";
+import Board from "./Board";
+import { BACKEND_URL } from "../services/backendService";
+import { createEmptyBoard } from "../services/gameOptions";
+
+const PLAYBACK_INTERVAL_MS = 800;
+
+const controlButtonStyle = (disabled) => ({
+  padding: "10px 16px",
+  fontSize: "16px",
+  backgroundColor: disabled ? "#555" : "#6ee7b7",
+  color: disabled ? "#fff" : "#000",
+  border: "none",
+  borderRadius: "20px",
+  cursor: disabled ? "not-allowed" : "pointer",
+  fontWeight: "bold",
+});
+
+const describeResult = (game) => {
+  if (!game) return "";
+  if (game.is_draw) return "Draw";
+  if (game.winner) return `${game.winner} won`;
+  return "Unfinished";
+};
+
+const Replay = () => {
+  const { gameId } = useParams();
+  const navigate = useNavigate();
+
+  const [game, setGame] = useState(null);
+  const [moves, setMoves] = useState([]);
+  const [step, setStep] = useState(0); // Number of moves applied to the board
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchReplay = async () => {
+      try {
+        const [gameRes, movesRes] = await Promise.all([
+          axios.get(`${BACKEND_URL}/games/${gameId}`),
+          axios.get(`${BACKEND_URL}/games/${gameId}/moves`),
+        ]);
+        setGame(gameRes.data);
+        setMoves(movesRes.data);
+        setStep(0);
+      } catch (err) {
+        console.error("Error fetching replay:", err.message);
+        setError(err.response?.status === 404 ? "Game not found." : "Unable to load replay.");
+      }
+    };
+
+    fetchReplay();
+  }, [gameId]);
+
+  // ▶️ Advance one move per tick while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    if (step >= moves.length) {
+      setIsPlaying(false);
+      return;
+    }
+
+    const timer = setTimeout(() => setStep(prev => prev + 1), PLAYBACK_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [isPlaying, step, moves.length]);
+
+  const currentMove = step > 0 ? moves[step - 1] : null;
+  const board = currentMove
+    ? currentMove.board
+    : game?.initial_board || createEmptyBoard(game ? { rows: game.board_rows, columns: game.board_columns } : undefined);
+  const atStart = step === 0;
+  const atEnd = step >= moves.length;
+
+  const togglePlay = () => {
+    // Restart from the beginning when play is pressed on the last move
+    if (!isPlaying && atEnd) setStep(0);
+    setIsPlaying(prev => !prev);
+  };
+
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        backgroundColor: "#0b1d1f",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        padding: "50px 20px",
+        color: "#fff",
+      }}
+    >
+      <div
+        style={{
+          backgroundColor: "#122c2f",
+          borderRadius: "20px",
+          padding: "40px",
+          maxWidth: "800px",
+          width: "100%",
+          textAlign: "center",
+        }}
+      >
+        <h2 style={{ fontSize: "32px", color: "#fff", marginBottom: "10px" }}>Replay</h2>
+
+        {error ? (
+          <p style={{ color: "#ff6b6b", fontSize: "16px" }}>{error}</p>
+        ) : !game ? (
+          <p style={{ color: "#ccc", fontSize: "16px" }}>Loading replay...</p>
+        ) : (
+          <>
+            <h3 style={{ fontSize: "20px", margin: "5px 0", color: "#6ee7b7" }}>
+              <span style={{ color: "#d62828" }}>{game.player1}</span> vs{" "}
+              <span style={{ color: "#fcbf49" }}>{game.player2}</span>
+            </h3>
+            <h4 style={{ fontSize: "18px", margin: "5px 0 30px 0", color: "#6ee7b7" }}>
+              Result: <span style={{ color: "#fff" }}>{describeResult(game)}</span>
+            </h4>
+
+            <Board
+              board={board}
+              winningPositions={currentMove ? currentMove.winningPositions : []}
+              lastMove={currentMove}
+            />
+
+            <p style={{ fontSize: "16px", marginBottom: "15px" }}>
+              {currentMove
+                ? `Move ${step} of ${moves.length}: ${currentMove.player} → column ${currentMove.column + 1}`
+                : `Start position (${moves.length} moves)`}
+            </p>
+
+            <input
+              type="range"
+              min={0}
+              max={moves.length}
+              value={step}
+              onChange={(e) => {
+                setIsPlaying(false);
+                setStep(Number(e.target.value));
+              }}
+              style={{ width: "80%", marginBottom: "20px", accentColor: "#6ee7b7" }}
+            />
+
+            <div style={{ display: "flex", justifyContent: "center", gap: "10px", marginBottom: "30px" }}>
+              <button onClick={() => setStep(0)} disabled={atStart} style={controlButtonStyle(atStart)}>
+                ⏮
+              </button>
+              <button
+                onClick={() => setStep(prev => Math.max(0, prev - 1))}
+                disabled={atStart}
+                style={controlButtonStyle(atStart)}
+              >
+                ◀
+              </button>
+              <button
+                onClick={togglePlay}
+                disabled={moves.length === 0}
+                style={controlButtonStyle(moves.length === 0)}
+              >
+                {isPlaying ? "⏸ Pause" : "▶ Play"}
+              </button>
+              <button
+                onClick={() => setStep(prev => Math.min(moves.length, prev + 1))}
+                disabled={atEnd}
+                style={controlButtonStyle(atEnd)}
+              >
+                ▶
+              </button>
+              <button onClick={() => setStep(moves.length)} disabled={atEnd} style={controlButtonStyle(atEnd)}>
+                ⏭
+              </button>
+            </div>
+          </>
+        )}
+
+        <button
+          onClick={() => navigate("/")}
+          style={{
+            padding: "12px 24px",
+            fontSize: "16px",
+            backgroundColor: "#6ee7b7",
+            color: "#000",
+            border: "none",
+            borderRadius: "20px",
+            cursor: "pointer",
+            fontWeight: "bold"
+          }}
+        >
+          Back to Home
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Replay;
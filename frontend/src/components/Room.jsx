@@ -0,0 +1,220 @@
+// src/components/Room.jsx
+
+import React, { useEffect, useState } from "react";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
+import { getSocket } from "../socket";
+import { getCurrentUser } from "../services/authService";
+import { describeGameOptions } from "../services/gameOptions";
+
+const Room = () => {
+  const { code } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // The host arrives here from the lobby right after creating the room
+  const { isHost, gameOptions } = location.state || {};
+  const username = getCurrentUser()?.username || "";
+
+  const [joining, setJoining] = useState(false);
+  const [error, setError] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  const inviteLink = `${window.location.origin}/room/${code}`;
+
+  useEffect(() => {
+    let socketInstance = null;
+
+    const handleGameStarted = ({ gameId, players, turn, board, options, variantState, moveNumber, stateHash, symbol, clock, reconnectToken }) => {
+      const opponent = players.find((p) => p !== username);
+
+      navigate(`/game/${gameId}`, {
+        state: { username, gameId, opponent, turn, board, options, variantState, moveNumber, stateHash, symbol, clock, reconnectToken },
+      });
+    };
+
+    const handleRoomError = ({ message }) => {
+      setError(message);
+      setJoining(false);
+    };
+
+    const handleRoomExpired = () => {
+      setError("This room expired before anyone joined.");
+    };
+
+    const subscribe = async () => {
+      try {
+        socketInstance = await getSocket();
+        socketInstance.on("gameStarted", handleGameStarted);
+        socketInstance.on("roomError", handleRoomError);
+        socketInstance.on("roomExpired", handleRoomExpired);
+        socketInstance.on("authError", handleRoomError);
+      } catch (error) {
+        console.error("Failed to initialize room socket:", error);
+        setError("Failed to connect to server. Please try again.");
+      }
+    };
+
+    subscribe();
+
+    return () => {
+      if (!socketInstance) return;
+      socketInstance.off("gameStarted", handleGameStarted);
+      socketInstance.off("roomError", handleRoomError);
+      socketInstance.off("roomExpired", handleRoomExpired);
+      socketInstance.off("authError", handleRoomError);
+    };
+  }, [username, navigate]);
+
+  const joinRoom = async () => {
+    // Guests log in first and come straight back to this room
+    if (!username) {
+      navigate("/login", { state: { from: `/room/${code}` } });
+      return;
+    }
+
+    try {
+      setJoining(true);
+      setError("");
+      const socket = await getSocket();
+      socket.emit("joinRoom", { code });
+    } catch (error) {
+      console.error("Failed to join room:", error);
+      setError("Failed to connect to server. Please try again.");
+      setJoining(false);
+    }
+  };
+
+  const leaveRoom = async () => {
+    if (isHost) {
+      try {
+        const socket = await getSocket();
+        socket.emit("cancelRoom");
+      } catch (error) {
+        console.error("Failed to cancel room:", error);
+      }
+    }
+    navigate("/play");
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error("Failed to copy invite link:", error);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        backgroundColor: "#0b1d1f",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        padding: "50px 20px",
+        color: "#fff",
+      }}
+    >
+      <div
+        style={{
+          backgroundColor: "#122c2f",
+          borderRadius: "20px",
+          padding: "40px",
+          maxWidth: "500px",
+          width: "100%",
+          textAlign: "center",
+        }}
+      >
+        <h2 style={{ fontSize: "32px", color: "#fff", marginBottom: "20px" }}>🔒 Private Room</h2>
+
+        <div style={{
+          backgroundColor: "#0b1d1f",
+          padding: "20px",
+          borderRadius: "15px",
+          marginBottom: "30px",
+          border: "2px solid #6ee7b7",
+        }}>
+          <p style={{ fontSize: "14px", color: "#6ee7b7", margin: "0 0 10px 0" }}>Invite code</p>
+          <p style={{ fontSize: "36px", fontWeight: "bold", letterSpacing: "8px", margin: 0 }}>{code}</p>
+          {gameOptions && (
+            <p style={{ fontSize: "14px", color: "#ccc", margin: "10px 0 0 0" }}>
+              {describeGameOptions(gameOptions)}
+            </p>
+          )}
+        </div>
+
+        {isHost ? (
+          <>
+            <p style={{ fontSize: "16px", lineHeight: "1.6", marginBottom: "20px" }}>
+              Share this link with a friend. The game starts as soon as they join.
+            </p>
+            <button
+              onClick={copyLink}
+              style={{
+                padding: "12px 24px",
+                fontSize: "16px",
+                backgroundColor: "#6ee7b7",
+                color: "#000",
+                border: "none",
+                borderRadius: "20px",
+                cursor: "pointer",
+                fontWeight: "bold",
+                marginBottom: "20px",
+              }}
+            >
+              {copied ? "✅ Link Copied" : "Copy Invite Link"}
+            </button>
+            {!error && <p style={{ color: "#ccc", fontSize: "14px" }}>Waiting for your friend...</p>}
+          </>
+        ) : (
+          <>
+            <p style={{ fontSize: "16px", lineHeight: "1.6", marginBottom: "20px" }}>
+              {username ? `Join as ${username}?` : "Log in to join this game."}
+            </p>
+            <button
+              onClick={joinRoom}
+              disabled={joining}
+              style={{
+                padding: "12px 30px",
+                fontSize: "18px",
+                backgroundColor: joining ? "#555" : "#6ee7b7",
+                color: joining ? "#fff" : "#000",
+                border: "none",
+                borderRadius: "20px",
+                cursor: joining ? "not-allowed" : "pointer",
+                fontWeight: "bold",
+                display: "block",
+                margin: "0 auto 20px auto",
+              }}
+            >
+              {joining ? "Joining..." : username ? "Join Room" : "Log In to Join"}
+            </button>
+          </>
+        )}
+
+        {error && <p style={{ color: "#ff6b6b", marginBottom: "20px", fontSize: "16px" }}>{error}</p>}
+
+        <button
+          onClick={leaveRoom}
+          style={{
+            padding: "8px 20px",
+            fontSize: "14px",
+            backgroundColor: "transparent",
+            color: "#6ee7b7",
+            border: "1px solid #6ee7b7",
+            borderRadius: "20px",
+            cursor: "pointer",
+          }}
+        >
+          {isHost ? "Cancel Room" : "Back to Lobby"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Room;
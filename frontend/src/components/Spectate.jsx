@@ -0,0 +1,173 @@
+// src/components/Spectate.jsx
+
+import React, { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { getSocket } from "../socket";
+import Board from "./Board";
+import ChatPanel from "./ChatPanel";
+import { createEmptyBoard } from "../services/gameOptions";
+import { createSyncTracker } from "../services/stateSync";
+
+const Spectate = () => {
+  const { gameId } = useParams();
+  const navigate = useNavigate();
+
+  const [board, setBoard] = useState(() => createEmptyBoard());
+  const [players, setPlayers] = useState([]);
+  const [turn, setTurn] = useState(null);
+  const [lastMove, setLastMove] = useState(null);
+  const [winningPositions, setWinningPositions] = useState([]);
+  const [status, setStatus] = useState("Joining game...");
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    let socketInstance = null;
+    const sync = createSyncTracker();
+
+    // Used for the first snapshot and for every resync
+    const handleSpectateSuccess = (snapshot) => {
+      setBoard(snapshot.board);
+      setPlayers(snapshot.players);
+      setTurn(snapshot.turn);
+      setLastMove(snapshot.lastMove);
+      setStatus("");
+      sync.reset(snapshot);
+    };
+
+    const handleSpectateFailed = ({ message }) => {
+      setStatus(message);
+    };
+
+    const handleMoveMade = ({ column, row, symbol, board, turn, ...progress }) => {
+      if (!sync.follows(progress)) socketInstance.emit("syncState", { gameId });
+      setBoard([...board]);
+      setLastMove({ row, column, symbol });
+      setTurn(turn); // Not always alternating: some variants grant an extra turn
+    };
+
+    const handleGameOver = ({ winner, draw, board, winningPositions }) => {
+      if (board) setBoard([...board]);
+      setWinningPositions(winningPositions || []);
+      setTurn(null);
+      setResult(draw ? "It's a Draw!" : `${winner} Wins`);
+    };
+
+    const handleStatusMessage = ({ message }) => {
+      setStatus(message);
+    };
+
+    const watchGame = async () => {
+      try {
+        socketInstance = await getSocket();
+        socketInstance.on("spectateSuccess", handleSpectateSuccess);
+        socketInstance.on("stateSync", handleSpectateSuccess);
+        socketInstance.on("spectateFailed", handleSpectateFailed);
+        socketInstance.on("moveMade", handleMoveMade);
+        socketInstance.on("gameOver", handleGameOver);
+        socketInstance.on("playerDisconnected", handleStatusMessage);
+        socketInstance.on("playerRejoined", handleStatusMessage);
+        socketInstance.emit("spectateGame", { gameId });
+      } catch (error) {
+        console.error("Failed to spectate game:", error);
+        setStatus("Unable to connect to the game server.");
+      }
+    };
+
+    watchGame();
+
+    return () => {
+      if (!socketInstance) return;
+      socketInstance.emit("stopSpectating");
+      socketInstance.off("spectateSuccess", handleSpectateSuccess);
+      socketInstance.off("stateSync", handleSpectateSuccess);
+      socketInstance.off("spectateFailed", handleSpectateFailed);
+      socketInstance.off("moveMade", handleMoveMade);
+      socketInstance.off("gameOver", handleGameOver);
+      socketInstance.off("playerDisconnected", handleStatusMessage);
+      socketInstance.off("playerRejoined", handleStatusMessage);
+    };
+  }, [gameId]);
+
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        backgroundColor: "#0b1d1f",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        padding: "50px 20px",
+        color: "#fff",
+      }}
+    >
+      <div
+        style={{
+          backgroundColor: "#122c2f",
+          borderRadius: "20px",
+          padding: "40px",
+          maxWidth: "800px",
+          width: "100%",
+          textAlign: "center",
+        }}
+      >
+        <h2 style={{ fontSize: "32px", color: "#fff", marginBottom: "10px" }}>👀 Watching Live</h2>
+        {players.length === 2 && (
+          <h3 style={{ fontSize: "20px", margin: "5px 0", color: "#6ee7b7" }}>
+            <span style={{ color: "#d62828" }}>{players[0]}</span> vs{" "}
+            <span style={{ color: "#fcbf49" }}>{players[1]}</span>
+          </h3>
+        )}
+        <h4 style={{ fontSize: "18px", margin: "5px 0 30px 0", color: "#6ee7b7" }}>
+          {result ? (
+            <span style={{ color: "#fff" }}>{result}</span>
+          ) : (
+            <>Turn: <span style={{ color: "#fff" }}>{turn || "Loading..."}</span></>
+          )}
+        </h4>
+
+        <Board board={board} winningPositions={winningPositions} lastMove={lastMove} />
+
+        {status && <p style={{ color: "#ccc", fontSize: "16px", marginBottom: "20px" }}>{status}</p>}
+
+        {players.length === 2 && !result && <ChatPanel gameId={gameId} canWrite={false} />}
+
+        <div style={{ display: "flex", justifyContent: "center", gap: "15px" }}>
+          {result && (
+            <button
+              onClick={() => navigate(`/replay/${gameId}`)}
+              style={{
+                padding: "12px 24px",
+                fontSize: "16px",
+                backgroundColor: "#fcbf49",
+                color: "#000",
+                border: "none",
+                borderRadius: "20px",
+                cursor: "pointer",
+                fontWeight: "bold"
+              }}
+            >
+              Watch Replay
+            </button>
+          )}
+          <button
+            onClick={() => navigate("/play")}
+            style={{
+              padding: "12px 24px",
+              fontSize: "16px",
+              backgroundColor: "#6ee7b7",
+              color: "#000",
+              border: "none",
+              borderRadius: "20px",
+              cursor: "pointer",
+              fontWeight: "bold"
+            }}
+          >
+            Back to Lobby
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Spectate;
@@ -0,0 +1,276 @@
+// src/components/Stats.jsx
+
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import { BACKEND_URL } from "../services/backendService";
+import { BarChart, LineChart, SplitBar, Heatmap } from "./StatsCharts";
+
+const DAY_RANGES = [7, 30, 90];
+
+const cardStyle = {
+  backgroundColor: "#0b1d1f",
+  border: "2px solid #1f4a4f",
+  borderRadius: "15px",
+  padding: "20px",
+  marginBottom: "20px",
+  textAlign: "left",
+};
+
+const toggleStyle = (active) => ({
+  padding: "6px 14px",
+  fontSize: "14px",
+  backgroundColor: active ? "#6ee7b7" : "transparent",
+  color: active ? "#000" : "#6ee7b7",
+  border: "1px solid #6ee7b7",
+  borderRadius: "20px",
+  cursor: "pointer",
+  fontWeight: "bold",
+});
+
+// e.g. "3m 05s"
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, "0")}s`;
+};
+
+// YYYY-MM-DD of the UTC day, which is how the server buckets games
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// One entry per day of the range, oldest first; days without games are zero
+const fillDays = (daily, days) => {
+  const byDay = new Map(daily.map((d) => [dayKey(new Date(d.day)), d]));
+  const today = new Date();
+
+  return Array.from({ length: days }, (_, i) => {
+    const date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - (days - 1 - i)));
+    const label = date.toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: "UTC" });
+    return { label, ...(byDay.get(dayKey(date)) || { games: 0 }) };
+  });
+};
+
+const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+
+const ChartCard = ({ title, children, actions = null }) => (
+  <div style={cardStyle}>
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "15px" }}>
+      <strong style={{ color: "#6ee7b7", fontSize: "18px" }}>{title}</strong>
+      {actions}
+    </div>
+    {children}
+  </div>
+);
+
+const Stats = () => {
+  const navigate = useNavigate();
+
+  const [days, setDays] = useState(30);
+  const [daily, setDaily] = useState(null);
+  const [board, setBoard] = useState({ rows: 6, columns: 7 });
+  const [heatmap, setHeatmap] = useState(null);
+  const [lengthUnit, setLengthUnit] = useState("time"); // "time" or "moves"
+  const [error, setError] = useState("");
+  const [heatmapError, setHeatmapError] = useState("");
+
+  useEffect(() => {
+    const fetchDaily = async () => {
+      try {
+        const res = await axios.get(`${BACKEND_URL}/analytics/daily`, { params: { days } });
+        setDaily(res.data.daily);
+        setError("");
+      } catch (err) {
+        console.error("Error fetching daily stats:", err.message);
+        setError("Unable to load stats.");
+      }
+    };
+
+    fetchDaily();
+  }, [days]);
+
+  useEffect(() => {
+    const fetchHeatmap = async () => {
+      try {
+        const res = await axios.get(`${BACKEND_URL}/analytics/heatmap`, { params: board });
+        setHeatmap(res.data);
+        setHeatmapError("");
+      } catch (err) {
+        console.error("Error fetching heatmap:", err.message);
+        setHeatmapError("Unable to load the heatmap.");
+      }
+    };
+
+    fetchHeatmap();
+  }, [board]);
+
+  const series = daily ? fillDays(daily, days) : [];
+  const played = series.filter((d) => d.games > 0);
+  const totalGames = sum(played, "games");
+  const averageOf = (field) =>
+    totalGames > 0 ? played.reduce((total, d) => total + d[field] * d.games, 0) / totalGames : null;
+  const averageDuration = averageOf("averageDurationMs");
+  const averageMoves = averageOf("averageMoves");
+
+  // The picker always offers the board on show, even before it has any wins
+  const boardOptions = !heatmap ? [] : heatmap.boards.some((b) => b.rows === board.rows && b.columns === board.columns)
+    ? heatmap.boards
+    : [{ ...board, games: 0 }, ...heatmap.boards];
+
+  const summary = [
+    { label: "Games", value: totalGames },
+    { label: "Avg length", value: averageDuration === null ? "—" : formatDuration(averageDuration) },
+    { label: "Avg moves", value: averageMoves === null ? "—" : averageMoves.toFixed(1) },
+    { label: "Bot games", value: sum(played, "botGames") },
+  ];
+
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        backgroundColor: "#0b1d1f",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        padding: "50px 20px",
+        color: "#fff",
+      }}
+    >
+      <div
+        style={{
+          backgroundColor: "#122c2f",
+          borderRadius: "20px",
+          padding: "40px",
+          maxWidth: "900px",
+          width: "100%",
+          textAlign: "center",
+        }}
+      >
+        <h2 style={{ fontSize: "32px", color: "#fff", marginBottom: "10px" }}>📊 Stats</h2>
+
+        <div style={{ display: "flex", justifyContent: "center", gap: "10px", marginBottom: "25px" }}>
+          {DAY_RANGES.map((range) => (
+            <button key={range} onClick={() => setDays(range)} style={toggleStyle(days === range)}>
+              {range} days
+            </button>
+          ))}
+        </div>
+
+        {error ? (
+          <p style={{ color: "#ff6b6b", fontSize: "16px" }}>{error}</p>
+        ) : !daily ? (
+          <p style={{ color: "#ccc", fontSize: "16px" }}>Loading stats...</p>
+        ) : (
+          <>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))", gap: "15px", marginBottom: "20px" }}>
+              {summary.map((s) => (
+                <div key={s.label} style={{ ...cardStyle, marginBottom: 0, textAlign: "center" }}>
+                  <div style={{ color: "#888", fontSize: "14px" }}>{s.label}</div>
+                  <div style={{ color: "#6ee7b7", fontSize: "26px", fontWeight: "bold" }}>{s.value}</div>
+                </div>
+              ))}
+            </div>
+
+            <ChartCard title="Games per day">
+              <BarChart data={series.map((d) => ({ label: d.label, value: d.games }))} />
+            </ChartCard>
+
+            <ChartCard
+              title="Average game length"
+              actions={
+                <span style={{ display: "flex", gap: "8px" }}>
+                  <button onClick={() => setLengthUnit("time")} style={toggleStyle(lengthUnit === "time")}>Time</button>
+                  <button onClick={() => setLengthUnit("moves")} style={toggleStyle(lengthUnit === "moves")}>Moves</button>
+                </span>
+              }
+            >
+              {played.length === 0 ? (
+                <p style={{ color: "#888" }}>No games in this range.</p>
+              ) : lengthUnit === "time" ? (
+                <LineChart
+                  data={series.map((d) => ({ label: d.label, value: d.games > 0 ? d.averageDurationMs : null }))}
+                  formatValue={formatDuration}
+                />
+              ) : (
+                <LineChart
+                  data={series.map((d) => ({ label: d.label, value: d.games > 0 ? d.averageMoves : null }))}
+                  formatValue={(v) => v.toFixed(1)}
+                />
+              )}
+            </ChartCard>
+
+            <ChartCard title="🤖 Bot vs human">
+              <SplitBar
+                segments={[
+                  { label: "Bot wins", value: sum(played, "botWins"), color: "#facc15" },
+                  { label: "Draws", value: sum(played, "botDraws"), color: "#888" },
+                  { label: "Human wins", value: sum(played, "humanWinsVsBot"), color: "#6ee7b7" },
+                ]}
+              />
+            </ChartCard>
+
+            <ChartCard title="First-move advantage">
+              <SplitBar
+                segments={[
+                  { label: "First player wins", value: sum(played, "firstMoverWins"), color: "#d62828" },
+                  { label: "Draws", value: sum(played, "draws"), color: "#888" },
+                  { label: "Second player wins", value: sum(played, "secondMoverWins"), color: "#fcbf49" },
+                ]}
+              />
+            </ChartCard>
+          </>
+        )}
+
+        {!error && heatmapError && (
+          <p style={{ color: "#ff6b6b", fontSize: "16px" }}>{heatmapError}</p>
+        )}
+
+        {!error && heatmap && (
+          <ChartCard
+            title="Winning-line positions"
+            actions={
+              boardOptions.length > 1 && (
+                <select
+                  value={`${board.rows}x${board.columns}`}
+                  onChange={(e) => {
+                    const [rows, columns] = e.target.value.split("x").map(Number);
+                    setBoard({ rows, columns });
+                  }}
+                  style={{ padding: "6px 10px", borderRadius: "10px", backgroundColor: "#122c2f", color: "#fff", border: "1px solid #1f4a4f" }}
+                >
+                  {boardOptions.map((b) => (
+                    <option key={`${b.rows}x${b.columns}`} value={`${b.rows}x${b.columns}`}>
+                      {b.rows}×{b.columns} ({b.games} wins)
+                    </option>
+                  ))}
+                </select>
+              )
+            }
+          >
+            <p style={{ color: "#888", fontSize: "14px", marginTop: 0 }}>
+              How often each cell was part of the winning line, over {heatmap.games} wins on the {heatmap.rows}×{heatmap.columns} board (all time).
+            </p>
+            <Heatmap cells={heatmap.cells} />
+          </ChartCard>
+        )}
+
+        <button
+          onClick={() => navigate("/")}
+          style={{
+            marginTop: "10px",
+            padding: "12px 30px",
+            fontSize: "16px",
+            backgroundColor: "#6ee7b7",
+            color: "#000",
+            border: "none",
+            borderRadius: "20px",
+            cursor: "pointer",
+            fontWeight: "bold",
+          }}
+        >
+          Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Stats;
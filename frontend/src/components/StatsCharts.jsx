@@ -0,0 +1,189 @@
+// src/components/StatsCharts.jsx
+
+import React from "react";
+
+const CHART_WIDTH = 600;
+const AXIS_HEIGHT = 20; // Room under the plot for the x labels
+const ACCENT = "#6ee7b7";
+
+// Show at most ~7 x labels so they never overlap
+const labelStep = (count) => Math.max(1, Math.ceil(count / 7));
+
+/**
+ * Vertical bars for [{ label, value }]. Hovering a bar shows its exact value.
+ */
+export const BarChart = ({ data, height = 180, color = ACCENT, formatValue = (v) => v }) => {
+  const plotHeight = height - AXIS_HEIGHT;
+  const max = Math.max(1, ...data.map((d) => d.value));
+  const slot = CHART_WIDTH / Math.max(1, data.length);
+  const step = labelStep(data.length);
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${height}`} style={{ width: "100%", height: "auto" }} role="img">
+      <text x={4} y={12} fill="#888" fontSize="11">{formatValue(max)}</text>
+      <line x1={0} y1={plotHeight} x2={CHART_WIDTH} y2={plotHeight} stroke="#1f4a4f" />
+      {data.map((d, i) => {
+        const barHeight = (d.value / max) * (plotHeight - 16);
+        return (
+          <g key={d.label}>
+            <rect
+              x={i * slot + slot * 0.15}
+              y={plotHeight - barHeight}
+              width={slot * 0.7}
+              height={barHeight}
+              rx={2}
+              fill={color}
+            >
+              <title>{`${d.label}: ${formatValue(d.value)}`}</title>
+            </rect>
+            {i % step === 0 && (
+              <text x={i * slot + slot / 2} y={height - 5} fill="#aaa" fontSize="11" textAnchor="middle">
+                {d.label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+/**
+ * A line through [{ label, value }]; points with a null value are skipped.
+ */
+export const LineChart = ({ data, height = 180, color = "#facc15", formatValue = (v) => v }) => {
+  const plotHeight = height - AXIS_HEIGHT;
+  const values = data.filter((d) => d.value !== null).map((d) => d.value);
+  const max = Math.max(1, ...values);
+  const slot = CHART_WIDTH / Math.max(1, data.length);
+  const step = labelStep(data.length);
+
+  const points = data
+    .map((d, i) => ({ ...d, x: i * slot + slot / 2, y: plotHeight - (d.value / max) * (plotHeight - 16) }))
+    .filter((p) => p.value !== null);
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${height}`} style={{ width: "100%", height: "auto" }} role="img">
+      <text x={4} y={12} fill="#888" fontSize="11">{formatValue(max)}</text>
+      <line x1={0} y1={plotHeight} x2={CHART_WIDTH} y2={plotHeight} stroke="#1f4a4f" />
+      <polyline
+        points={points.map((p) => `${p.x},${p.y}`).join(" ")}
+        fill="none"
+        stroke={color}
+        strokeWidth={2}
+      />
+      {points.map((p) => (
+        <circle key={p.label} cx={p.x} cy={p.y} r={4} fill={color}>
+          <title>{`${p.label}: ${formatValue(p.value)}`}</title>
+        </circle>
+      ))}
+      {data.map((d, i) =>
+        i % step === 0 ? (
+          <text key={d.label} x={i * slot + slot / 2} y={height - 5} fill="#aaa" fontSize="11" textAnchor="middle">
+            {d.label}
+          </text>
+        ) : null
+      )}
+    </svg>
+  );
+};
+
+const percent = (value, total) => (total > 0 ? Math.round((value / total) * 100) : 0);
+
+/**
+ * One bar split into [{ label, value, color }], with a legend of counts and shares.
+ */
+export const SplitBar = ({ segments }) => {
+  const total = segments.reduce((sum, s) => sum + s.value, 0);
+
+  return (
+    <div>
+      <div style={{
+        display: "flex",
+        height: "28px",
+        borderRadius: "14px",
+        overflow: "hidden",
+        backgroundColor: "#0b1d1f",
+        marginBottom: "10px",
+      }}>
+        {total > 0 && segments.map((s) =>
+          s.value > 0 ? (
+            <div
+              key={s.label}
+              title={`${s.label}: ${s.value}`}
+              style={{
+                width: `${(s.value / total) * 100}%`,
+                backgroundColor: s.color,
+                color: "#000",
+                fontSize: "12px",
+                fontWeight: "bold",
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+              }}
+            >
+              {percent(s.value, total) >= 10 ? `${percent(s.value, total)}%` : ""}
+            </div>
+          ) : null
+        )}
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "16px", fontSize: "14px" }}>
+        {segments.map((s) => (
+          <span key={s.label}>
+            <span style={{
+              display: "inline-block",
+              width: "10px",
+              height: "10px",
+              borderRadius: "50%",
+              backgroundColor: s.color,
+              marginRight: "6px",
+            }} />
+            {s.label}: <strong>{s.value}</strong> ({percent(s.value, total)}%)
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Board-shaped grid of counts (row 0 is the top row); darker cells were used more.
+ */
+export const Heatmap = ({ cells }) => {
+  const max = Math.max(1, ...cells.flat());
+  const columns = cells[0] ? cells[0].length : 0;
+
+  return (
+    <div style={{
+      display: "grid",
+      gridTemplateColumns: `repeat(${columns}, 1fr)`,
+      gap: "4px",
+      maxWidth: `${columns * 56}px`,
+      margin: "0 auto",
+      padding: "8px",
+      backgroundColor: "#0b1d1f",
+      borderRadius: "10px",
+    }}>
+      {cells.flatMap((row, r) =>
+        row.map((count, c) => (
+          <div
+            key={`${r}-${c}`}
+            title={`Row ${r + 1}, column ${c + 1}: ${count}`}
+            style={{
+              aspectRatio: "1",
+              borderRadius: "50%",
+              backgroundColor: count > 0 ? `rgba(110, 231, 183, ${0.15 + 0.85 * (count / max)})` : "#1f4a4f",
+              color: count / max > 0.5 ? "#000" : "#fff",
+              fontSize: "12px",
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+            }}
+          >
+            {count}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,42 @@
+// src/components/Toast.jsx
+
+import React, { useEffect } from "react";
+
+const TOAST_DURATION_MS = 3000;
+
+// Short-lived message at the top of the screen; the parent clears `message` via onClose
+const Toast = ({ message, onClose }) => {
+  useEffect(() => {
+    if (!message) return;
+    const timer = setTimeout(onClose, TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [message, onClose]);
+
+  if (!message) return null;
+
+  return (
+    <div
+      role="alert"
+      onClick={onClose}
+      style={{
+        position: "fixed",
+        top: "20px",
+        left: "50%",
+        transform: "translateX(-50%)",
+        backgroundColor: "#f44336",
+        color: "white",
+        padding: "12px 20px",
+        borderRadius: "8px",
+        boxShadow: "0 4px 8px rgba(0, 0, 0, 0.2)",
+        zIndex: 1100,
+        maxWidth: "350px",
+        fontSize: "15px",
+        cursor: "pointer",
+      }}
+    >
+      ⚠️ {message}
+    </div>
+  );
+};
+
+export default Toast;
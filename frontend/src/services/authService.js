@@ -0,0 +1,58 @@
+// src/services/authService.js
+
+import axios from "axios";
+import { BACKEND_URL } from "./backendService";
+
+const TOKEN_KEY = "connect4_token";
+const USER_KEY = "connect4_user";
+
+// Components listen for this to re-render when the player logs in or out
+const notifyAuthChanged = () => {
+  window.dispatchEvent(new CustomEvent("authChanged", { detail: { user: getCurrentUser() } }));
+};
+
+const saveSession = ({ token, user }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+  notifyAuthChanged();
+  return user;
+};
+
+// Prefer the server's message (e.g. "That username is already taken.")
+const toError = (error, fallback) => {
+  return new Error(error.response?.data?.message || fallback);
+};
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const getCurrentUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const register = async (username, password) => {
+  try {
+    const { data } = await axios.post(`${BACKEND_URL}/auth/register`, { username, password });
+    return saveSession(data);
+  } catch (error) {
+    throw toError(error, "Registration failed. Please try again.");
+  }
+};
+
+export const login = async (username, password) => {
+  try {
+    const { data } = await axios.post(`${BACKEND_URL}/auth/login`, { username, password });
+    return saveSession(data);
+  } catch (error) {
+    throw toError(error, "Login failed. Please try again.");
+  }
+};
+
+export const logout = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+  notifyAuthChanged();
+};
@@ -1,6 +1,6 @@
 import { io } from "socket.io-client";
 
-const BACKEND_URL = "https://connect4-backend-ka4c.onrender.com";
+export const BACKEND_URL = "https://connect4-backend-ka4c.onrender.com";
 
 // Rate limiting and retry configuration
 const RATE_LIMIT_CONFIG = {
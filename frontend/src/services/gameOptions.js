@@ -0,0 +1,33 @@
+// src/services/gameOptions.js
+
+// Variant, board size and win length; the server checks whatever is sent
+export const DEFAULT_GAME_OPTIONS = { variant: "classic", rows: 6, columns: 7, winLength: 4 };
+
+// Games offered when creating a private room
+export const BOARD_PRESETS = [
+  { value: "classic", label: "Classic 6×7", options: DEFAULT_GAME_OPTIONS },
+  { value: "large", label: "Large 7×8", options: { variant: "classic", rows: 7, columns: 8, winLength: 4 } },
+  { value: "connect5", label: "Connect 5 (7×9)", options: { variant: "classic", rows: 7, columns: 9, winLength: 5 } },
+  { value: "popout", label: "PopOut", options: { variant: "popout", rows: 6, columns: 7, winLength: 4 } },
+  { value: "pop10", label: "Pop 10", options: { variant: "pop10" } },
+  { value: "five-in-a-row", label: "Five-in-a-row 9×6", options: { variant: "five-in-a-row" } },
+];
+
+const VARIANT_LABELS = {
+  classic: "",
+  popout: "PopOut",
+  pop10: "Pop 10",
+  "five-in-a-row": "Five-in-a-row",
+};
+
+// Variants where a player may pop their own disc out of the bottom row
+export const POP_VARIANTS = ["popout", "pop10"];
+
+export const createEmptyBoard = ({ rows, columns } = DEFAULT_GAME_OPTIONS) =>
+  Array.from({ length: rows }, () => Array(columns).fill(null));
+
+// e.g. "6×7 · connect 4" or "PopOut · 6×7 · connect 4"
+export const describeGameOptions = ({ variant, rows, columns, winLength } = DEFAULT_GAME_OPTIONS) => {
+  const board = `${rows}×${columns} · connect ${winLength}`;
+  return VARIANT_LABELS[variant] ? `${VARIANT_LABELS[variant]} · ${board}` : board;
+};
@@ -0,0 +1,30 @@
+// src/services/gameSession.js
+
+// The current game's seat, kept per tab so a refresh can resume it
+const SESSION_KEY = "connect4_game";
+
+/**
+ * @param {{ gameId: string, username: string, opponent: string, symbol: string, reconnectToken: string, socketId: string }} session
+ */
+export const saveGameSession = (session) => {
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+// Returns the stored seat for this game, or null
+export const getGameSession = (gameId) => {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+    return session && session.gameId === gameId ? session : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const updateGameSession = (gameId, changes) => {
+  const session = getGameSession(gameId);
+  if (session) saveGameSession({ ...session, ...changes });
+};
+
+export const clearGameSession = () => {
+  sessionStorage.removeItem(SESSION_KEY);
+};
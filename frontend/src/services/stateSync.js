@@ -0,0 +1,25 @@
+// src/services/stateSync.js
+
+/**
+ * Remembers the last game state a page applied so it can tell when a
+ * moveMade event was missed (skipped move number or a different previous hash).
+ * When that happens the page asks the server for a full `syncState`.
+ */
+export const createSyncTracker = ({ moveNumber = null, stateHash = null } = {}) => {
+  let last = { moveNumber, stateHash };
+
+  return {
+    // After a full snapshot (rejoin, spectate or stateSync)
+    reset: ({ moveNumber = null, stateHash = null }) => {
+      last = { moveNumber, stateHash };
+    },
+
+    // Records a moveMade; false if it doesn't follow straight on from the last known state
+    follows: ({ moveNumber, previousHash, stateHash }) => {
+      const inSync = last.moveNumber === null ||
+        (moveNumber === last.moveNumber + 1 && (!last.stateHash || previousHash === last.stateHash));
+      last = { moveNumber, stateHash };
+      return inSync;
+    },
+  };
+};
@@ -2,6 +2,7 @@
 
 import { io } from "socket.io-client";
 import { backendService } from "./services/backendService";
+import { getToken, logout } from "./services/authService";
 
 const BACKEND_URL = "https://connect4-backend-ka4c.onrender.com";
 
@@ -20,6 +21,8 @@ const createSocketConnection = () => {
     reconnectionAttempts: 10,
     autoConnect: true,
     forceNew: false,
+    // Read the token on every (re)connect so logging in or out takes effect
+    auth: (cb) => cb({ token: getToken() }),
   });
 };
 
@@ -90,6 +93,14 @@ const connectWithWakeup = async () => {
 
         const onConnectError = (error) => {
           console.log("❌ Socket connection error:", error);
+
+          // 🔐 Stale login token: drop it and connect again as a guest
+          if (error.data?.code === 401) {
+            logout();
+            socket.connect();
+            return;
+          }
+
           clearTimeout(timeout);
           socket.off('connect', onConnect);
           socket.off('connect_error', onConnectError);
@@ -174,6 +185,12 @@ export const getSocket = () => {
   return connectWithWakeup();
 };
 
+// Reconnect so the server sees the current login token
+export const reconnectSocket = () => {
+  if (socket) socket.disconnect();
+  return connectWithWakeup();
+};
+
 // Initialize connection immediately but don't block
 connectWithWakeup().catch(error => {
   console.error("❌ Initial connection failed:", error);